@@ -0,0 +1,134 @@
+// assistant.js
+
+const { Order, Product } = require('./models');
+const { sendWhatsAppMessage } = require('./notifications');
+const { ORDER_STATUS_LABELS, PAYMENT_STATUS_LABELS } = require('./orderStatus');
+const { unsubscribeAll } = require('./subscriptions');
+const config = require('./config');
+
+// --- Assistente de WhatsApp para mensagens recebidas ---
+// Responde a comandos simples enviados pelos clientes (ex: "estado <trackingId>", "catalogo").
+// Qualquer outra mensagem é encaminhada para o número da equipa configurado.
+// As respostas passam pela fila de notificações, como todas as outras mensagens.
+
+// Remove acentos e coloca em minúsculas, para que "Catálogo" e "catalogo" sejam o mesmo comando
+const normalizeKeyword = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Compara dois telefones pelo número nacional (últimos 9 dígitos), ignorando prefixo 258, '+' e espaços
+const samePhoneNumber = (a, b) => {
+  const digitsA = (a || '').replace(/\D/g, '').slice(-9);
+  const digitsB = (b || '').replace(/\D/g, '').slice(-9);
+  return digitsA.length === 9 && digitsA === digitsB;
+};
+
+// Extrai o texto de uma mensagem do Baileys (texto simples ou com formatação/resposta)
+const extractText = (message) =>
+  message.message?.conversation ||
+  message.message?.extendedTextMessage?.text ||
+  '';
+
+// Identifica o comando a partir da primeira palavra da mensagem
+const parseCommand = (text) => {
+  const [first = '', ...args] = text.trim().split(/\s+/);
+  const keyword = normalizeKeyword(first);
+  const { commands } = config.whatsapp.assistant;
+  const name = Object.keys(commands).find((command) => commands[command].includes(keyword));
+  return { name, args };
+};
+
+// "estado <trackingId>": responde com o estado do pedido, se o remetente for o dono do pedido
+const replyOrderStatus = async (phone, [trackingId]) => {
+  if (!trackingId) {
+    const [keyword] = config.whatsapp.assistant.commands.status;
+    return `Envie "${keyword} <código do pedido>" para consultar o seu pedido. O código vem na mensagem de confirmação.`;
+  }
+
+  const order = await Order.findOne({ trackingId: trackingId.replace(/^#/, '') });
+  // A mesma resposta para pedido inexistente e telefone diferente, para não revelar pedidos de terceiros
+  if (!order || !samePhoneNumber(order.customerInfo.phone, phone)) {
+    return `Não encontrámos nenhum pedido com o código ${trackingId} associado a este número.`;
+  }
+
+  const orderStatus = ORDER_STATUS_LABELS[order.orderStatus] || order.orderStatus;
+  const paymentStatus = PAYMENT_STATUS_LABELS[order.paymentStatus] || order.paymentStatus;
+  return `Pedido #${order.trackingId}\nEstado: ${orderStatus}\nPagamento: ${paymentStatus}\nTotal: ${order.totalAmount.toFixed(2)} MZN`;
+};
+
+// "catalogo": lista os produtos em destaque
+const replyCatalog = async () => {
+  const products = await Product.find({ featured: true }).sort({ createdAt: -1 }).limit(10);
+  if (products.length === 0) {
+    return 'De momento não temos produtos em destaque. Visite a nossa loja para ver o catálogo completo.';
+  }
+
+  const lines = products.map((product) => {
+    const availability = product.stock > 0 ? '' : ' (esgotado)';
+    const sizes = product.variants.map((variant) => variant.size).join(', ');
+    return `• ${product.name} (${sizes}) - a partir de ${product.price.toFixed(2)} MZN${availability}`;
+  });
+  const link = config.storefrontURL ? `\n\nVeja mais em ${config.storefrontURL}` : '';
+  return `Os nossos destaques:\n${lines.join('\n')}${link}`;
+};
+
+// "stop": cancela os alertas de volta ao estoque e de baixa de preço do número
+const replyStop = async (phone) => {
+  const removed = await unsubscribeAll(phone);
+  return removed > 0
+    ? 'Pronto! Não vai receber mais alertas de produtos.'
+    : 'Este número não tem alertas de produtos ativos.';
+};
+
+// "ajuda": lista os comandos disponíveis
+const replyHelp = () => {
+  const { commands } = config.whatsapp.assistant;
+  return [
+    'Posso ajudar com:',
+    `• ${commands.status[0]} <código do pedido> - estado do seu pedido`,
+    `• ${commands.catalog[0]} - produtos em destaque`,
+    `• ${commands.stop[0]} - deixar de receber alertas de produtos`,
+    'Para outros assuntos, escreva a sua mensagem e a nossa equipa responderá.',
+  ].join('\n');
+};
+
+// Mensagens não reconhecidas são encaminhadas para a equipa
+const forwardToStaff = async (phone, text) => {
+  const { staffNumber } = config.whatsapp.assistant;
+  if (!staffNumber) {
+    return replyHelp();
+  }
+  await sendWhatsAppMessage(staffNumber, `Mensagem de +${phone}:\n${text}`, { kind: 'assistant_forward' });
+  return 'Obrigado pela sua mensagem! Encaminhámos para a nossa equipa, que responderá em breve.';
+};
+
+// Trata uma mensagem recebida pelo evento 'messages.upsert' do Baileys
+// Ignora mensagens enviadas por nós, de grupos/status e da própria equipa (para evitar encaminhamentos em ciclo).
+const handleIncomingMessage = async (message) => {
+  const jid = message.key?.remoteJid || '';
+  if (message.key?.fromMe || !jid.endsWith('@s.whatsapp.net')) return;
+
+  const phone = jid.split('@')[0];
+  if (samePhoneNumber(phone, config.whatsapp.assistant.staffNumber)) return;
+
+  const text = extractText(message).trim();
+  if (!text) return;
+
+  const { name, args } = parseCommand(text);
+  let reply;
+  if (name === 'status') {
+    reply = await replyOrderStatus(phone, args);
+  } else if (name === 'catalog') {
+    reply = await replyCatalog();
+  } else if (name === 'stop') {
+    reply = await replyStop(phone);
+  } else if (name === 'help') {
+    reply = replyHelp();
+  } else {
+    reply = await forwardToStaff(phone, text);
+  }
+
+  await sendWhatsAppMessage(phone, reply, { kind: 'assistant_reply' });
+};
+
+module.exports = {
+  handleIncomingMessage,
+};
\ No newline at end of file
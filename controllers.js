@@ -1,37 +1,56 @@
 // controllers.js
 
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const fs = require('fs/promises');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const axios = require('axios');
-const https = require('https'); // Necessário para a API de teste do Mpesa
-const cloudinary = require('cloudinary').v2;
-const { Product, Order, AdminUser } = require('./models');
+const QRCode = require('qrcode');
+const { Product, Order, AdminUser, AdminSession, LoginAttempt, PaymentCallback, Notification, Coupon, DeliveryZone, StockMovement, Customer, CustomerOtp, ProductSubscription, Review } = require('./models');
+const { CouponError, roundMoney, couponPhoneKey, normalizeCouponCode, calculateCouponDiscount } = require('./coupons');
+const { getStorage, storageFor, uploadFromUrl } = require('./storage');
+const { productsToCsv, parseProductCsv, groupRowsByProduct, parseImageUrls } = require('./productCsv');
+const { sendWhatsAppMessage, requeueNotification } = require('./notifications');
+const { recordStockMovements, notifyLowStock, changeVariantStock, snapshotVariantStock, recordProductStockChanges } = require('./inventory');
+const { SUBSCRIPTION_TYPES, subscriptionPrice, notifyPriceDrops } = require('./subscriptions');
+const { buildReceipt } = require('./receipts');
+const { PaymentError, providers, createSandboxProvider, getPaymentProvider, getMethodsSupporting, getExpiringMethods, normalizeMpesaNumber } = require('./payments');
+const whatsapp = require('./whatsapp');
+const { ROLES, isValidRole, hasPermission, permissionsForRole } = require('./permissions');
+const { StatusTransitionError, allowedTransitions, assertTransition, statusesLeadingTo, buildStatusHistory } = require('./orderStatus');
 const config = require('./config');
 
-// --- Configuração do Cloudinary ---
-// É preciso configurar o Cloudinary com as credenciais do nosso config.js
-cloudinary.config(config.cloudinary);
-
-// --- Agente HTTPS para a API M-Pesa Sandbox ---
-// A API de sandbox do M-Pesa usa um certificado autoassinado, o que causa erros em Node.js.
-// Esta configuração ignora a verificação do certificado APENAS para as requisições ao M-Pesa.
-// ATENÇÃO: Não use rejectUnauthorized: false em produção com APIs que tenham certificados válidos.
-const mpesaAgent = new https.Agent({
-  rejectUnauthorized: false,
-});
-
 // =================================================================
 // == CONTROLLERS DE AUTENTICAÇÃO E ADMIN ==========================
 // =================================================================
 
-// Criar um novo administrador (deve ser protegido ou usado apenas para setup inicial)
+const MIN_PASSWORD_LENGTH = 8;
+
+// Campos de uma conta devolvidos pela API (nunca a senha)
+const ADMIN_PUBLIC_FIELDS = '-password';
+
+// Criar um novo administrador
+// Sem nenhuma conta na base, a rota funciona como setup inicial e cria o primeiro 'owner'.
+// Depois disso só um 'owner' autenticado cria contas (a rota exige 'users:manage'); body: { username, password, role? }
 exports.registerAdmin = async (req, res) => {
   try {
     const { username, password } = req.body;
     if (!username || !password) {
       return res.status(400).json({ message: 'Usuário e senha são obrigatórios.' });
     }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.` });
+    }
+
+    const isBootstrap = !req.user;
+    if (isBootstrap && await AdminUser.exists({})) {
+      return res.status(403).json({ message: 'O setup inicial já foi feito. Peça a um owner para criar a sua conta.' });
+    }
+
+    const role = isBootstrap ? 'owner' : (req.body.role || 'fulfillment');
+    if (!isValidRole(role)) {
+      return res.status(400).json({ message: `Papel inválido. Valores aceitos: ${ROLES.join(', ')}.` });
+    }
 
     const existingAdmin = await AdminUser.findOne({ username });
     if (existingAdmin) {
@@ -39,86 +58,583 @@ exports.registerAdmin = async (req, res) => {
     }
 
     const hashedPassword = await bcrypt.hash(password, 12);
-    const admin = new AdminUser({ username, password: hashedPassword });
+    const admin = new AdminUser({ username, password: hashedPassword, role, createdBy: req.user?.id });
     await admin.save();
 
-    res.status(201).json({ message: 'Administrador criado com sucesso.' });
+    res.status(201).json({
+      message: 'Administrador criado com sucesso.',
+      user: { id: admin._id, username: admin.username, role: admin.role },
+    });
   } catch (error) {
     res.status(500).json({ message: 'Erro no servidor', error: error.message });
   }
 };
 
+// --- Sessões do painel (access token + refresh token rotativo) ---
+
+// Só o hash SHA-256 do refresh token é guardado na base
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Data a partir da qual os access tokens continuam válidos (o 'iat' do JWT tem precisão de segundos)
+const currentSecond = () => new Date(Math.floor(Date.now() / 1000) * 1000);
+
+// Cria uma sessão para a conta e devolve o refresh token em claro (só existe nesta resposta)
+const createAdminSession = async (admin, req) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const session = await AdminSession.create({
+    admin: admin._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + config.auth.refreshTokenTTLDays * 24 * 60 * 60 * 1000),
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+  return { session, refreshToken };
+};
+
+// Resposta de login/refresh: 'token' mantém compatibilidade com o painel antigo
+const sessionResponse = (admin, refreshToken) => {
+  const accessToken = jwt.sign({ id: admin._id, role: admin.role }, config.jwtSecret, { expiresIn: config.auth.accessTokenTTL });
+  return {
+    accessToken,
+    token: accessToken,
+    refreshToken,
+    expiresIn: config.auth.accessTokenTTL,
+    role: admin.role,
+    permissions: permissionsForRole(admin.role),
+  };
+};
+
+// Revoga todos os refresh tokens ativos da conta
+const revokeAdminSessions = (adminId, reason) => AdminSession.updateMany(
+  { admin: adminId, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// --- Bloqueio de login por usuário + IP ---
+
+const loginAttemptKey = (username, ip) => `${String(username).trim().toLowerCase()}|${ip}`;
+
+// Devolve a data de fim do bloqueio, se a combinação usuário + IP estiver bloqueada
+const getLoginLock = async (key) => {
+  const attempt = await LoginAttempt.findOne({ key, lockedUntil: { $gt: new Date() } });
+  return attempt ? attempt.lockedUntil : null;
+};
+
+// Soma uma falha de forma atômica. A contagem recomeça quando a janela expira ou depois de um bloqueio;
+// ao atingir o máximo de falhas, a combinação fica bloqueada por 'lockMinutes'.
+const registerFailedLogin = (key) => {
+  const { maxAttempts, windowMinutes, lockMinutes } = config.auth.lockout;
+  const windowStart = new Date(Date.now() - windowMinutes * 60 * 1000);
+  const restart = {
+    $or: [
+      { $lt: ['$windowStartedAt', windowStart] },
+      { $and: [{ $eq: [{ $type: '$lockedUntil' }, 'date'] }, { $lte: ['$lockedUntil', '$$NOW'] }] },
+    ],
+  };
+  return LoginAttempt.findOneAndUpdate({ key }, [
+    {
+      $set: {
+        failures: { $cond: [restart, 1, { $add: ['$failures', 1] }] },
+        windowStartedAt: { $cond: [restart, '$$NOW', '$windowStartedAt'] },
+        lastFailureAt: '$$NOW',
+      },
+    },
+    {
+      $set: {
+        lockedUntil: { $cond: [{ $gte: ['$failures', maxAttempts] }, { $add: ['$$NOW', lockMinutes * 60 * 1000] }, '$$REMOVE'] },
+      },
+    },
+  ], { upsert: true, new: true });
+};
+
+const sendLoginLocked = (res, lockedUntil) => {
+  const retryAfterSeconds = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({
+    message: `Demasiadas tentativas falhadas. Tente novamente em ${Math.ceil(retryAfterSeconds / 60)} minuto(s).`,
+    lockedUntil,
+  });
+};
+
+// Hash comparado quando o usuário não existe, para que a resposta demore o mesmo que uma senha errada
+// e o tempo de resposta não revele quais usuários existem (gerado ao carregar o módulo)
+const dummyPasswordHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), 12);
+
 // Login do administrador
+// Devolve um access token de curta duração e um refresh token para renovar a sessão em POST /admin/refresh
 exports.loginAdmin = async (req, res) => {
   try {
     const { username, password } = req.body;
-    const admin = await AdminUser.findOne({ username });
-    if (!admin) {
-      return res.status(401).json({ message: 'Credenciais inválidas.' });
+    if (!username || !password) {
+      return res.status(400).json({ message: 'Usuário e senha são obrigatórios.' });
+    }
+
+    const attemptKey = loginAttemptKey(username, req.ip);
+    const lockedUntil = await getLoginLock(attemptKey);
+    if (lockedUntil) {
+      return sendLoginLocked(res, lockedUntil);
     }
 
-    const isMatch = await bcrypt.compare(password, admin.password);
+    const admin = await AdminUser.findOne({ username });
+    const isMatch = await bcrypt.compare(password, admin ? admin.password : await dummyPasswordHash) && Boolean(admin);
     if (!isMatch) {
+      const attempt = await registerFailedLogin(attemptKey);
+      if (attempt.lockedUntil) {
+        return sendLoginLocked(res, attempt.lockedUntil);
+      }
       return res.status(401).json({ message: 'Credenciais inválidas.' });
     }
 
-    const token = jwt.sign({ id: admin._id, role: admin.role }, config.jwtSecret, { expiresIn: '8h' });
+    await LoginAttempt.deleteOne({ key: attemptKey });
+
+    if (!admin.active) {
+      return res.status(403).json({ message: 'Esta conta está desativada.' });
+    }
+
+    const { refreshToken } = await createAdminSession(admin, req);
+
+    res.status(200).json({ ...sessionResponse(admin, refreshToken), message: 'Login bem-sucedido!' });
+  } catch (error) {
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+};
+
+// Renovar a sessão com o refresh token
+// Cada refresh token só pode ser usado uma vez: é revogado e substituído por um novo.
+// O reuso de um token já rodado indica que foi roubado, e todas as sessões da conta são terminadas.
+exports.refreshAdminSession = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Informe o refreshToken.' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    // A revogação é atômica: dois pedidos com o mesmo token nunca geram duas sessões
+    const session = await AdminSession.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { revokedAt: new Date(), revokedReason: 'rotated', lastUsedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await AdminSession.findOne({ tokenHash, revokedReason: 'rotated' });
+      if (reused) {
+        console.warn(`Reuso de refresh token detectado para a conta ${reused.admin}. Todas as sessões foram terminadas.`);
+        await revokeAdminSessions(reused.admin, 'reuse_detected');
+        await AdminUser.updateOne({ _id: reused.admin }, { sessionsValidAfter: currentSecond() });
+      }
+      return res.status(401).json({ message: 'Sessão inválida ou expirada. Faça login novamente.' });
+    }
+
+    const admin = await AdminUser.findById(session.admin);
+    if (!admin || !admin.active) {
+      return res.status(401).json({ message: 'Conta desativada ou inexistente.' });
+    }
+
+    const next = await createAdminSession(admin, req);
+    await AdminSession.updateOne({ _id: session._id }, { replacedBy: next.session._id });
+
+    res.status(200).json(sessionResponse(admin, next.refreshToken));
+  } catch (error) {
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+};
+
+// Terminar a sessão
+// Body: { refreshToken, all? }. Com all=true termina todas as sessões da conta e invalida os access tokens já emitidos.
+exports.logoutAdmin = async (req, res) => {
+  try {
+    const { refreshToken, all } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Informe o refreshToken.' });
+    }
+
+    const session = await AdminSession.findOneAndUpdate(
+      { tokenHash: hashToken(refreshToken), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+
+    if (session && all === true) {
+      await revokeAdminSessions(session.admin, 'logout_all');
+      await AdminUser.updateOne({ _id: session.admin }, { sessionsValidAfter: currentSecond() });
+    }
+
+    // Responde sempre com sucesso: um token já revogado ou desconhecido não deixa a sessão aberta
+    res.status(200).json({ message: all === true ? 'Todas as sessões foram terminadas.' : 'Sessão terminada.' });
+  } catch (error) {
+    res.status(500).json({ message: 'Erro no servidor', error: error.message });
+  }
+};
+
+// Alterar a própria senha
+// Body: { currentPassword, newPassword }. Termina todas as sessões e devolve uma sessão nova para quem fez a troca.
+exports.changeAdminPassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: 'Informe a senha atual e a nova senha.' });
+    }
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.` });
+    }
+
+    const admin = await AdminUser.findById(req.user.id);
+    if (!admin || !(await bcrypt.compare(currentPassword, admin.password))) {
+      return res.status(401).json({ message: 'Senha atual incorreta.' });
+    }
+
+    admin.password = await bcrypt.hash(newPassword, 12);
+    admin.passwordChangedAt = new Date();
+    admin.sessionsValidAfter = currentSecond();
+    await admin.save();
+    await revokeAdminSessions(admin._id, 'password_changed');
+
+    const { refreshToken } = await createAdminSession(admin, req);
 
-    res.status(200).json({ token, message: 'Login bem-sucedido!' });
+    res.status(200).json({ ...sessionResponse(admin, refreshToken), message: 'Senha alterada. As outras sessões foram terminadas.' });
   } catch (error) {
     res.status(500).json({ message: 'Erro no servidor', error: error.message });
   }
 };
 
+// --- Gestão de contas do painel (Owner) ---
+
+// Verifica se a conta é o último 'owner' ativo (que não pode ser desativado nem mudar de papel)
+const isLastActiveOwner = async (admin) => {
+  if (admin.role !== 'owner' || !admin.active) return false;
+  const otherOwners = await AdminUser.countDocuments({ _id: { $ne: admin._id }, role: 'owner', active: true });
+  return otherOwners === 0;
+};
+
+// Listar contas do painel (Owner)
+exports.getAdminUsers = async (req, res) => {
+  try {
+    const users = await AdminUser.find().select(ADMIN_PUBLIC_FIELDS).sort({ createdAt: 1 });
+    res.status(200).json(users);
+  } catch (error) {
+    res.status(500).json({ message: 'Erro ao buscar usuários', error: error.message });
+  }
+};
+
+// Alterar papel e/ou ativar/desativar uma conta (Owner)
+// Body: { role?, active? }. A mudança vale de imediato, mesmo para tokens já emitidos.
+exports.updateAdminUser = async (req, res) => {
+  try {
+    const { role, active } = req.body;
+    if (role === undefined && active === undefined) {
+      return res.status(400).json({ message: 'Informe o novo role e/ou active.' });
+    }
+    if (role !== undefined && !isValidRole(role)) {
+      return res.status(400).json({ message: `Papel inválido. Valores aceitos: ${ROLES.join(', ')}.` });
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      return res.status(400).json({ message: 'O campo active deve ser true ou false.' });
+    }
+
+    const admin = await AdminUser.findById(req.params.id);
+    if (!admin) {
+      return res.status(404).json({ message: 'Usuário não encontrado.' });
+    }
+
+    const losesOwnership = (role !== undefined && role !== 'owner') || active === false;
+    if (losesOwnership && await isLastActiveOwner(admin)) {
+      return res.status(409).json({ message: 'Não é possível remover o último owner ativo.' });
+    }
+
+    if (role !== undefined) admin.role = role;
+    const disabling = active === false && admin.active;
+    if (active !== undefined && active !== admin.active) {
+      admin.active = active;
+      admin.disabledAt = active ? undefined : new Date();
+    }
+    await admin.save();
+
+    if (disabling) {
+      await revokeAdminSessions(admin._id, 'disabled');
+    }
+
+    const { password, ...user } = admin.toObject();
+    res.status(200).json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Erro ao atualizar usuário', error: error.message });
+  }
+};
+
+// Redefinir a senha de uma conta (Owner)
+// Body: { password? }. Sem senha no body, gera uma senha temporária que é devolvida apenas nesta resposta.
+// Todas as sessões da conta são terminadas.
+exports.resetAdminPassword = async (req, res) => {
+  try {
+    const generated = !req.body.password;
+    const newPassword = req.body.password || crypto.randomBytes(12).toString('base64url');
+    if (newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ message: `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.` });
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+    const admin = await AdminUser.findByIdAndUpdate(
+      req.params.id,
+      { password: hashedPassword, passwordChangedAt: new Date(), sessionsValidAfter: currentSecond() },
+      { new: true }
+    );
+    if (!admin) {
+      return res.status(404).json({ message: 'Usuário não encontrado.' });
+    }
+    await revokeAdminSessions(admin._id, 'password_changed');
+
+    res.status(200).json({
+      message: `Senha de ${admin.username} redefinida.`,
+      ...(generated && { temporaryPassword: newPassword }),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Erro ao redefinir senha', error: error.message });
+  }
+};
+
 
 // =================================================================
 // == CONTROLLERS DE PRODUTOS (Público e Admin) =====================
 // =================================================================
 
+// Campos que o admin pode alterar num produto; o resto do body é ignorado
+// Preço, estoque e tamanho pertencem às variantes (campo 'variants')
+const PRODUCT_UPDATABLE_FIELDS = ['name', 'olfactoryNotes', 'type', 'featured', 'lowStockThreshold'];
+const VARIANT_FIELDS = ['size', 'sku', 'price', 'stock', 'barcode', 'salePrice', 'saleStartsAt', 'saleEndsAt'];
+const MAX_PRODUCT_IMAGES = 10;
+
+// Lê um campo de lista vindo de JSON (array) ou de multipart (JSON em texto, campo repetido ou separado por vírgulas)
+const parseListField = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value.map(String);
+  const text = String(value).trim();
+  if (text.startsWith('[')) return JSON.parse(text).map(String);
+  return text.split(',').map((item) => item.trim()).filter(Boolean);
+};
+
+// Gera um SKU a partir do nome e do tamanho (ex: "Bleu Intense" 100ml -> BLEU-INTENSE-100ML-3F9A)
+const generateSku = (name, size) => {
+  const slug = `${name || 'PERFUME'}-${size || ''}`
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase().replace(/[^A-Z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 24);
+  return `${slug}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+};
+
+// Lê as variantes do body: array em JSON ou texto JSON em multipart.
+// Sem 'variants', os campos antigos price/stock/size criam uma variante única (compatibilidade com o painel).
+// Retorna undefined quando o body não altera variantes; lança SyntaxError/TypeError se o formato for inválido.
+const parseVariantsField = (body, productName) => {
+  let variants;
+  if (body.variants !== undefined) {
+    variants = typeof body.variants === 'string' ? JSON.parse(body.variants) : body.variants;
+    if (!Array.isArray(variants)) {
+      throw new TypeError('variants deve ser uma lista.');
+    }
+  } else if (body.size !== undefined || body.price !== undefined) {
+    variants = [{ size: body.size, sku: body.sku, price: body.price, stock: body.stock, barcode: body.barcode }];
+  } else {
+    return undefined;
+  }
+
+  return variants.map((variant) => {
+    const parsed = { _id: variant._id };
+    for (const field of VARIANT_FIELDS) {
+      if (variant[field] !== undefined) parsed[field] = variant[field];
+    }
+    if (!parsed._id && !parsed.sku) {
+      parsed.sku = generateSku(productName, parsed.size);
+    }
+    return parsed;
+  });
+};
+
+// Resposta para erros de gravação de produtos (validação, SKU repetido, conflito de versão)
+const sendProductSaveError = (res, error, message) => {
+  if (error instanceof SyntaxError || error instanceof TypeError) {
+    return res.status(400).json({ message: 'Formato inválido de variants.', error: error.message });
+  }
+  if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ message: 'Dados do produto inválidos', error: error.message });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({ message: 'Já existe uma variante com este SKU.', error: error.message });
+  }
+  if (error instanceof mongoose.Error.VersionError) {
+    return res.status(409).json({ message: 'O produto foi alterado por outra pessoa. Recarregue e tente novamente.' });
+  }
+  return res.status(500).json({ message, error: error.message });
+};
+
+// Envia as imagens recebidas pelo multer para o backend de armazenamento (ver storage.js)
+// Os arquivos temporários do multer são apagados no fim, com ou sem sucesso.
+const uploadProductImages = async (files) => {
+  const storage = getStorage();
+  const uploads = [];
+  try {
+    for (const file of files) {
+      uploads.push(await storage.upload(file.path, { folder: config.storage.folder }));
+    }
+    return uploads;
+  } catch (error) {
+    await destroyProductImages(uploads);
+    throw error;
+  } finally {
+    await Promise.all(files.map((file) => fs.unlink(file.path).catch(() => {})));
+  }
+};
+
+// Apaga imagens do armazenamento; uma falha só é registrada, o produto já foi atualizado
+const destroyProductImages = async (images) => {
+  for (const image of images) {
+    try {
+      await storageFor(image).destroy(image.public_id);
+    } catch (error) {
+      console.error(`Falha ao apagar a imagem ${image.public_id}:`, error.message);
+    }
+  }
+};
+
 // Criar um novo produto (Admin)
+// Variantes: 'variants' = [{ size, sku?, price, stock, barcode? }] (texto JSON em multipart);
+// os campos antigos price/stock/size continuam aceitos e criam uma variante única.
 exports.createProduct = async (req, res) => {
+  let imageUploads = [];
   try {
-    const { name, descriptionShort, descriptionFull, price, stock, olfactoryNotes, size, type, featured } = req.body;
+    const { name, descriptionShort, descriptionFull, olfactoryNotes, type, featured, lowStockThreshold } = req.body;
     const images = req.files;
 
     if (!images || images.length === 0) {
       return res.status(400).json({ message: 'Pelo menos uma imagem é necessária.' });
     }
+
+    const variants = parseVariantsField(req.body, name) || [];
     
-    const imageUploads = [];
-    for (const image of images) {
-      // O 'path' vem do middleware 'multer' que processa o upload
-      const result = await cloudinary.uploader.upload(image.path, { folder: 'perfumes' });
-      imageUploads.push({
-        public_id: result.public_id,
-        url: result.secure_url,
-      });
-    }
+    // O 'path' de cada imagem vem do middleware 'multer' que processa o upload
+    imageUploads = await uploadProductImages(images);
 
     const product = new Product({
       name,
       description: { short: descriptionShort, full: descriptionFull },
-      price,
+      variants,
       images: imageUploads,
-      stock,
       olfactoryNotes,
-      size,
       type,
       featured,
+      lowStockThreshold,
     });
 
     await product.save();
+    await recordProductStockChanges(product, new Map(), { reason: 'initial', admin: req.user.id });
     res.status(201).json(product);
   } catch (error) {
-    res.status(500).json({ message: 'Erro ao criar produto', error: error.message });
+    await destroyProductImages(imageUploads);
+    sendProductSaveError(res, error, 'Erro ao criar produto');
+  }
+};
+
+const PRODUCT_TYPES = ['Masculino', 'Feminino', 'Unissex'];
+
+// Ordenações aceitas em ?sort= ('relevance' só faz sentido com ?q=)
+const PRODUCT_SORTS = {
+  newest: { createdAt: -1 },
+  price_asc: { price: 1, _id: 1 },
+  price_desc: { price: -1, _id: 1 },
+  name: { name: 1, _id: 1 },
+  relevance: { score: { $meta: 'textScore' } },
+  rating: { 'rating.average': -1, 'rating.count': -1, _id: 1 },
+};
+
+const CATALOG_PAGE_SIZE = 20;
+const CATALOG_MAX_PAGE_SIZE = 100;
+
+// Converte os parâmetros de ?query do catálogo num filtro do MongoDB
+// Devolve { error } quando algum parâmetro é inválido
+const buildCatalogQuery = (query) => {
+  const filter = {};
+
+  if (query.q && query.q.trim()) {
+    filter.$text = { $search: query.q.trim() };
+  }
+
+  if (query.type) {
+    const types = parseListField(query.type);
+    const invalid = types.filter((type) => !PRODUCT_TYPES.includes(type));
+    if (invalid.length > 0) {
+      return { error: `Tipo inválido: ${invalid.join(', ')}. Valores aceitos: ${PRODUCT_TYPES.join(', ')}.` };
+    }
+    filter.type = { $in: types };
   }
+
+  // Tamanho, preço e estoque são filtrados na mesma variante (ex: um 100ml em estoque até 5000 MZN)
+  const variantFilter = {};
+  if (query.size) {
+    variantFilter.size = { $in: parseListField(query.size) };
+  }
+
+  for (const [param, operator] of [['minPrice', '$gte'], ['maxPrice', '$lte']]) {
+    if (query[param] !== undefined && query[param] !== '') {
+      const value = Number(query[param]);
+      if (!Number.isFinite(value) || value < 0) {
+        return { error: `${param} deve ser um número positivo.` };
+      }
+      variantFilter.price = { ...variantFilter.price, [operator]: value };
+    }
+  }
+
+  if (query.inStock === 'true') {
+    variantFilter.stock = { $gt: 0 };
+  }
+
+  if (Object.keys(variantFilter).length > 0) {
+    filter.variants = { $elemMatch: variantFilter };
+  }
+
+  if (query.featured === 'true' || query.featured === 'false') {
+    filter.featured = query.featured === 'true';
+  }
+
+  const sortKey = query.sort || (filter.$text ? 'relevance' : 'newest');
+  if (!PRODUCT_SORTS[sortKey]) {
+    return { error: `Ordenação inválida. Valores aceitos: ${Object.keys(PRODUCT_SORTS).join(', ')}.` };
+  }
+  if (sortKey === 'relevance' && !filter.$text) {
+    return { error: 'A ordenação por relevância exige uma pesquisa (?q=).' };
+  }
+
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || CATALOG_PAGE_SIZE, 1), CATALOG_MAX_PAGE_SIZE);
+
+  return { filter, sortKey, page, limit };
 };
 
-// Obter todos os produtos (Público)
+// Obter os produtos do catálogo (Público)
+// Filtros: ?q= (pesquisa no nome, descrições e notas olfativas), ?type=Masculino,Unissex, ?size=100ml,
+// ?minPrice=&maxPrice=, ?inStock=true, ?featured=true|false
+// Ordenação: ?sort=newest|price_asc|price_desc|name|relevance|rating (o preço é o preço base da variante mais barata,
+// sem promoções; cada variante traz 'effectivePrice' e 'onSale'). Paginação: ?page=1&limit=20
+// Cada produto traz 'rating' ({ average, count, longevity, sillage }) com o resumo das avaliações aprovadas.
 exports.getAllProducts = async (req, res) => {
   try {
-    const products = await Product.find().sort({ createdAt: -1 });
-    res.status(200).json(products);
+    const { error, filter, sortKey, page, limit } = buildCatalogQuery(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const projection = sortKey === 'relevance' ? { score: { $meta: 'textScore' } } : {};
+    let productsQuery = Product.find(filter, projection)
+      .sort(PRODUCT_SORTS[sortKey])
+      .skip((page - 1) * limit)
+      .limit(limit);
+    if (sortKey === 'name') {
+      productsQuery = productsQuery.collation({ locale: 'pt', strength: 1 }); // Igual à do índice de nome
+    }
+
+    const [products, total] = await Promise.all([productsQuery, Product.countDocuments(filter)]);
+
+    res.status(200).json({
+      products,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) },
+    });
   } catch (error) {
     res.status(500).json({ message: 'Erro ao buscar produtos', error: error.message });
   }
@@ -138,16 +654,126 @@ exports.getProductById = async (req, res) => {
 };
 
 // Atualizar um produto (Admin)
+// Aceita JSON ou multipart (novas imagens no campo 'images', como na criação).
+// 'variants' substitui a lista de variantes: as que trazem _id são atualizadas, as sem _id são criadas
+// e as omitidas são removidas (os pedidos guardam o SKU e o tamanho, por isso não ficam sem referência).
+// Campos de imagem:
+//   removeImages -> public_ids a remover (as imagens também são apagadas do armazenamento)
+//   imageOrder   -> ordem final das imagens; as novas são referidas como 'new:0', 'new:1'... (as omitidas vão para o fim)
+//   coverImage   -> public_id ou 'new:N' da imagem de capa (fica sempre na primeira posição)
 exports.updateProduct = async (req, res) => {
+  const newFiles = req.files || [];
+  let uploaded = [];
   try {
-    // Lógica para atualizar texto e, opcionalmente, imagens (mais complexa)
-    const updatedProduct = await Product.findByIdAndUpdate(req.params.id, req.body, { new: true });
-    if (!updatedProduct) {
+    const product = await Product.findById(req.params.id);
+    if (!product) {
         return res.status(404).json({ message: 'Produto não encontrado para atualizar.' });
     }
-    res.status(200).json(updatedProduct);
+
+    let removeIds, imageOrder;
+    try {
+      removeIds = parseListField(req.body.removeImages);
+      imageOrder = parseListField(req.body.imageOrder);
+    } catch (error) {
+      return res.status(400).json({ message: 'removeImages e imageOrder devem ser listas de public_id.' });
+    }
+    const { coverImage } = req.body;
+
+    let variants;
+    try {
+      variants = parseVariantsField(req.body, req.body.name || product.name);
+    } catch (error) {
+      return res.status(400).json({ message: 'Formato inválido de variants.', error: error.message });
+    }
+    const unknownVariants = (variants || []).filter((variant) => variant._id && !product.findVariant(variant._id));
+    if (unknownVariants.length > 0) {
+      return res.status(400).json({ message: 'Variantes não pertencem ao produto.', variants: unknownVariants.map((variant) => variant._id) });
+    }
+
+    const currentIds = product.images.map((image) => image.public_id);
+    const newRefs = newFiles.map((file, index) => `new:${index}`);
+    const unknownRemovals = removeIds.filter((id) => !currentIds.includes(id));
+    if (unknownRemovals.length > 0) {
+      return res.status(400).json({ message: 'Imagens a remover não pertencem ao produto.', images: unknownRemovals });
+    }
+
+    const keptIds = currentIds.filter((id) => !removeIds.includes(id));
+    const validRefs = [...keptIds, ...newRefs];
+    const unknownRefs = [...imageOrder, ...(coverImage ? [coverImage] : [])].filter((ref) => !validRefs.includes(ref));
+    if (unknownRefs.length > 0) {
+      return res.status(400).json({ message: 'imageOrder/coverImage referem imagens que o produto não terá.', images: unknownRefs });
+    }
+    if (validRefs.length === 0) {
+      return res.status(400).json({ message: 'O produto precisa de pelo menos uma imagem.' });
+    }
+    if (validRefs.length > MAX_PRODUCT_IMAGES) {
+      return res.status(400).json({ message: `Um produto pode ter no máximo ${MAX_PRODUCT_IMAGES} imagens.` });
+    }
+
+    // Ordem final: a pedida em imageOrder, depois as restantes na ordem atual; a capa vai para o início
+    let orderedRefs = [...new Set(imageOrder), ...validRefs.filter((ref) => !imageOrder.includes(ref))];
+    if (coverImage) {
+      orderedRefs = [coverImage, ...orderedRefs.filter((ref) => ref !== coverImage)];
+    }
+
+    // O estoque das variantes existentes não é gravado com o produto: pedidos pagos ou expirados durante o envio
+    // das imagens também o alteram. O valor pedido é aplicado como diferença em relação ao estoque lido agora,
+    // com um $inc atômico (changeVariantStock), depois de gravar o resto.
+    const stockEdits = (variants || []).filter((variant) => variant._id && variant.stock !== undefined);
+    if (stockEdits.some((variant) => !Number.isInteger(Number(variant.stock)) || Number(variant.stock) < 0)) {
+      return res.status(400).json({ message: 'O estoque das variantes deve ser um número inteiro não negativo.' });
+    }
+    const stockChanges = stockEdits
+      .map((variant) => ({ variant: variant._id, delta: Number(variant.stock) - product.findVariant(variant._id).stock }))
+      .filter((change) => change.delta !== 0);
+
+    uploaded = await uploadProductImages(newFiles);
+
+    // Relê o produto depois do envio, para não gravar o estoque lido antes dele
+    const current = await Product.findById(product._id);
+    if (!current) {
+      await destroyProductImages(uploaded);
+      return res.status(404).json({ message: 'Produto não encontrado para atualizar.' });
+    }
+    const imagesByRef = new Map(current.images.map((image) => [image.public_id, image.toObject()]));
+    uploaded.forEach((image, index) => imagesByRef.set(`new:${index}`, image));
+    const removedImages = current.images.filter((image) => removeIds.includes(image.public_id)).map((image) => image.toObject());
+
+    // Apenas os campos da whitelist são copiados do body
+    for (const field of PRODUCT_UPDATABLE_FIELDS) {
+      if (req.body[field] !== undefined) current[field] = req.body[field];
+    }
+    if (req.body.descriptionShort !== undefined) current.description.short = req.body.descriptionShort;
+    if (req.body.descriptionFull !== undefined) current.description.full = req.body.descriptionFull;
+    current.images = orderedRefs.filter((ref) => imagesByRef.has(ref)).map((ref) => imagesByRef.get(ref));
+    const stockBefore = snapshotVariantStock(current);
+    if (variants) {
+      current.variants = variants
+        .filter((variant) => !variant._id || current.findVariant(variant._id))
+        .map((variant) => {
+          if (!variant._id) return variant;
+          const { stock, ...fields } = variant;
+          return { ...current.findVariant(variant._id).toObject(), ...fields };
+        });
+    }
+
+    await current.save();
+    uploaded = []; // As novas imagens pertencem agora ao produto
+    await recordProductStockChanges(current, stockBefore, { reason: 'product_update', admin: req.user.id });
+    // Uma redução que já não cabe no estoque (vendido entretanto) não é aplicada
+    for (const change of stockChanges) {
+      await changeVariantStock(current._id, change.variant, change.delta, { reason: 'product_update', admin: req.user.id }, { requireStock: true });
+    }
+
+    const updated = stockChanges.length > 0 ? await Product.findById(current._id) : current;
+    await notifyPriceDrops(updated);
+    await destroyProductImages(removedImages);
+
+    res.status(200).json(updated);
   } catch (error) {
-    res.status(500).json({ message: 'Erro ao atualizar produto', error: error.message });
+    // Se o produto não foi gravado, as imagens acabadas de enviar ficariam órfãs no armazenamento
+    await destroyProductImages(uploaded);
+    sendProductSaveError(res, error, 'Erro ao atualizar produto');
   }
 };
 
@@ -159,261 +785,2600 @@ exports.deleteProduct = async (req, res) => {
       return res.status(404).json({ message: 'Produto não encontrado.' });
     }
 
-    // Deletar imagens do Cloudinary antes de deletar o produto do DB
+    // Deletar imagens do armazenamento antes de deletar o produto do DB
     for (const image of product.images) {
-      await cloudinary.uploader.destroy(image.public_id);
+      await storageFor(image).destroy(image.public_id);
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    await Review.deleteMany({ product: product._id });
     res.status(200).json({ message: 'Produto deletado com sucesso.' });
   } catch (error) {
     res.status(500).json({ message: 'Erro ao deletar produto', error: error.message });
   }
 };
 
-// =================================================================
-// == CONTROLLERS DE PEDIDOS E PAGAMENTO ===========================
-// =================================================================
+// --- Importação e exportação do catálogo em CSV (Admin) ---
 
-// Função utilitária para normalizar o número de telefone para o padrão M-Pesa
-const normalizeMpesaNumber = (phone) => {
-  let cleanPhone = phone.replace(/\D/g, ''); // Remove todos os não-dígitos
-  if (cleanPhone.startsWith('0')) {
-    cleanPhone = cleanPhone.substring(1); // Remove o '0' inicial, ex: 084 -> 84
-  }
-  if (cleanPhone.length === 9 && (cleanPhone.startsWith('84') || cleanPhone.startsWith('85'))) {
-    return `258${cleanPhone}`;
-  }
-  if (cleanPhone.length === 12 && cleanPhone.startsWith('258')) {
-    return cleanPhone; // Já está no formato correto
+const parseBooleanCell = (value) => ['true', 'sim', '1', 'yes'].includes(String(value).trim().toLowerCase());
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
   }
-  // Se não corresponder a um formato válido, retorna nulo para causar um erro controlado
-  throw new Error(`Número de telefone '${phone}' é inválido para M-Pesa.`);
 };
 
-// Função utilitária para enviar notificações via WhatsApp
-// O 'sock' (cliente Baileys) será passado do server.js
-const sendWhatsAppMessage = async (sock, to, message) => {
-    try {
-        if (!sock) {
-            console.log("Cliente WhatsApp (sock) não inicializado. Mensagem não enviada.");
-            return;
-        }
-        // Formata o número para o padrão do Baileys (ex: 258841234567@s.whatsapp.net)
-        const formattedNumber = `${to.replace(/\D/g, '')}@s.whatsapp.net`;
-        await sock.sendMessage(formattedNumber, { text: message });
-        console.log(`Mensagem enviada para ${formattedNumber}`);
-    } catch (error) {
-        console.error(`Falha ao enviar mensagem para ${to}:`, error);
+// Aplica um grupo de linhas (um produto) a um documento novo ou existente, sem gravar.
+// Devolve o documento, a ação, as URLs das imagens e os erros encontrados em cada linha.
+const planProductImport = async (group, skusInFile) => {
+  const errorsByLine = new Map(group.map((row) => [row.line, []]));
+  const addError = (line, message) => errorsByLine.get(line).push(message);
+  const [first] = group;
+
+  const skus = group.map((row) => (row.sku || '').toUpperCase()).filter(Boolean);
+  for (const row of group) {
+    const sku = (row.sku || '').toUpperCase();
+    if (sku && skusInFile.get(sku) !== first.line) {
+      addError(row.line, `O SKU ${sku} aparece em mais de um produto no arquivo.`);
     }
-};
+  }
 
-// Criar um novo pedido (Checkout)
-// Esta função é um "higher-order function". Ela recebe 'sock' e retorna o controller.
-// Isso nos permite injetar a dependência do cliente WhatsApp.
-exports.createOrder = (sock) => async (req, res) => {
-    const session = await mongoose.startSession();
-    session.startTransaction();
-    try {
-        const { customerInfo, products, paymentMethod } = req.body;
-        
-        // Validação básica dos dados recebidos
-        if (!customerInfo || !products || !paymentMethod) {
-            return res.status(400).json({ message: "Dados do pedido incompletos." });
-        }
-        
-        let totalAmount = 0;
-        const productDetails = [];
+  // O produto é encontrado pelo SKU de uma das variantes; sem correspondência, pelo nome
+  let product = skus.length > 0 ? await Product.findOne({ 'variants.sku': { $in: skus } }) : null;
+  if (!product) {
+    product = await Product.findOne({ name: first.name }).collation({ locale: 'pt', strength: 1 });
+  }
+  if (skus.length > 0) {
+    const conflicts = await Product.find({ 'variants.sku': { $in: skus }, _id: { $ne: product ? product._id : null } }, 'name variants.sku');
+    const conflictSkus = new Set(conflicts.flatMap((other) => other.variants.map((variant) => variant.sku)));
+    for (const row of group) {
+      if (conflictSkus.has((row.sku || '').toUpperCase())) {
+        addError(row.line, `O SKU ${row.sku.toUpperCase()} pertence a outro produto.`);
+      }
+    }
+  }
 
-        for (const item of products) {
-            const product = await Product.findById(item.productId).session(session);
-            if (!product) {
-                throw new Error(`Produto com ID ${item.productId} não encontrado.`);
-            }
-            if (product.stock < item.quantity) {
-                throw new Error(`Estoque insuficiente para o produto: ${product.name}.`);
-            }
-            
-            totalAmount += product.price * item.quantity;
-            productDetails.push({ product: product._id, quantity: item.quantity, price: product.price });
+  const action = product ? 'update' : 'create';
+  const doc = product || new Product();
+  const stockBefore = snapshotVariantStock(doc);
 
-            // Decrementa o estoque
-            product.stock -= item.quantity;
-            await product.save({ session });
-        }
-        
-        // Gera uma referência única para o pedido (Third Party Reference)
-        const thirdPartyReference = `PERFUME_${Date.now()}`;
-        
-        const order = new Order({
-            customerInfo,
-            products: productDetails,
-            totalAmount,
-            paymentMethod,
-            mpesaDetails: {
-                thirdPartyReference: thirdPartyReference,
-            }
-        });
+  // Células vazias não alteram um produto existente
+  const setIfPresent = (value, apply) => {
+    if (value !== undefined && value !== '') apply(value);
+  };
+  doc.name = first.name;
+  setIfPresent(first.descriptionShort, (value) => { doc.description.short = value; });
+  setIfPresent(first.descriptionFull, (value) => { doc.description.full = value; });
+  setIfPresent(first.olfactoryNotes, (value) => { doc.olfactoryNotes = value; });
+  setIfPresent(first.type, (value) => { doc.type = value; });
+  setIfPresent(first.featured, (value) => { doc.featured = parseBooleanCell(value); });
+
+  // Cada linha é uma variante, encontrada pelo SKU ou, sem SKU, pelo tamanho
+  const lineByVariant = new Map();
+  for (const row of group) {
+    const sku = (row.sku || '').toUpperCase();
+    let variant = sku
+      ? doc.variants.find((existing) => existing.sku === sku)
+      : doc.variants.find((existing) => existing.size === row.size);
+    if (!variant) {
+      doc.variants.push({ sku: sku || generateSku(first.name, row.size), size: row.size, price: row.price, stock: 0 });
+      variant = doc.variants[doc.variants.length - 1];
+    }
+    setIfPresent(row.size, (value) => { variant.size = value; });
+    setIfPresent(row.price, (value) => { variant.price = value; });
+    setIfPresent(row.stock, (value) => { variant.stock = value; });
+    setIfPresent(row.barcode, (value) => { variant.barcode = value; });
+    lineByVariant.set(doc.variants.indexOf(variant), row.line);
+  }
+
+  const imageRow = group.find((row) => row.imageUrls);
+  const imageUrls = imageRow ? parseImageUrls(imageRow.imageUrls) : [];
+  for (const url of imageUrls.filter((value) => !isHttpUrl(value))) {
+    addError(imageRow.line, `URL de imagem inválida: ${url}`);
+  }
+  if (action === 'create' && imageUrls.length === 0) {
+    addError(first.line, 'Pelo menos uma imagem é necessária (coluna imageUrls).');
+  }
+
+  // As regras do ProductSchema (limite da descrição curta, enum de tipo, preço mínimo...) são aplicadas por linha
+  try {
+    await doc.validate();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+    for (const [path, detail] of Object.entries(error.errors)) {
+      const variantMatch = path.match(/^variants\.(\d+)\./);
+      const lines = variantMatch && lineByVariant.has(Number(variantMatch[1]))
+        ? [lineByVariant.get(Number(variantMatch[1]))]
+        : group.map((row) => row.line);
+      lines.forEach((line) => addError(line, `${path}: ${detail.message}`));
+    }
+  }
+
+  return { doc, action, imageUrls, group, errorsByLine, stockBefore };
+};
+
+// Substitui as imagens do produto pelas URLs da planilha: as já existentes são mantidas,
+// as novas são baixadas para o armazenamento e as que saíram da lista são apagadas depois de gravar.
+const applyImportImages = async (doc, imageUrls) => {
+  if (imageUrls.length === 0) return { uploaded: [], removed: [] };
+
+  const existingByUrl = new Map(doc.images.map((image) => [image.url, image.toObject()]));
+  const uploaded = [];
+  const images = [];
+  try {
+    for (const url of imageUrls) {
+      if (existingByUrl.has(url)) {
+        images.push(existingByUrl.get(url));
+      } else {
+        const image = await uploadFromUrl(url, { folder: config.storage.folder });
+        uploaded.push(image);
+        images.push(image);
+      }
+    }
+  } catch (error) {
+    await destroyProductImages(uploaded);
+    throw error;
+  }
+
+  const removed = doc.images.filter((image) => !imageUrls.includes(image.url)).map((image) => image.toObject());
+  doc.images = images;
+  return { uploaded, removed };
+};
+
+// Exportar o catálogo em CSV (Admin)
+exports.exportProducts = async (req, res) => {
+  try {
+    const products = await Product.find().sort({ name: 1 }).collation({ locale: 'pt', strength: 1 });
+    const filename = `produtos-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.status(200).send(productsToCsv(products));
+  } catch (error) {
+    res.status(500).json({ message: 'Erro ao exportar produtos', error: error.message });
+  }
+};
+
+// Importar produtos de um CSV (Admin)
+// Arquivo no campo 'file' (mesmas colunas da exportação). Por padrão é só uma simulação (dry-run) que
+// valida cada linha com as regras do ProductSchema; com ?dryRun=false os produtos são criados/atualizados,
+// mas apenas se nenhuma linha tiver erros. As imagens (coluna imageUrls) são baixadas só nessa altura.
+exports.importProducts = async (req, res) => {
+  const dryRun = req.query.dryRun !== 'false';
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Envie o arquivo CSV no campo "file".' });
+    }
+
+    let rows;
+    try {
+      rows = parseProductCsv(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ message: 'Não foi possível ler o CSV.', error: error.message });
+    }
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'O CSV não tem linhas de produtos.' });
+    }
+
+    const groups = groupRowsByProduct(rows);
+    // Primeira linha (do grupo) em que cada SKU aparece, para detetar SKUs repetidos entre produtos
+    const skusInFile = new Map();
+    for (const group of groups) {
+      for (const row of group) {
+        const sku = (row.sku || '').toUpperCase();
+        if (sku && !skusInFile.has(sku)) skusInFile.set(sku, group[0].line);
+      }
+    }
+
+    const plans = [];
+    for (const group of groups) {
+      plans.push(await planProductImport(group, skusInFile));
+    }
+
+    const report = () => plans.flatMap(({ group, action, errorsByLine }) => group.map((row) => ({
+      line: row.line,
+      name: row.name,
+      size: row.size,
+      sku: row.sku,
+      action,
+      errors: errorsByLine.get(row.line),
+    }))).sort((a, b) => a.line - b.line);
+    const summary = () => {
+      const rowsReport = report();
+      return {
+        rows: rows.length,
+        products: plans.length,
+        create: plans.filter((plan) => plan.action === 'create').length,
+        update: plans.filter((plan) => plan.action === 'update').length,
+        rowsWithErrors: rowsReport.filter((row) => row.errors.length > 0).length,
+      };
+    };
+
+    const hasErrors = plans.some((plan) => [...plan.errorsByLine.values()].some((errors) => errors.length > 0));
+    if (dryRun || hasErrors) {
+      return res.status(dryRun ? 200 : 422).json({
+        dryRun,
+        applied: false,
+        message: hasErrors ? 'Corrija as linhas com erros antes de importar.' : 'Simulação concluída. Envie com ?dryRun=false para importar.',
+        summary: summary(),
+        rows: report(),
+      });
+    }
+
+    // Importação real: cada produto é gravado separadamente; uma falha (ex: imagem inacessível) não impede os restantes
+    let saved = 0;
+    for (const plan of plans) {
+      let uploaded = [];
+      try {
+        const images = await applyImportImages(plan.doc, plan.imageUrls);
+        uploaded = images.uploaded;
+        await plan.doc.save();
+        uploaded = [];
+        await recordProductStockChanges(plan.doc, plan.stockBefore, { reason: 'import', admin: req.user.id });
+        await notifyPriceDrops(plan.doc);
+        await destroyProductImages(images.removed);
+        saved++;
+      } catch (error) {
+        await destroyProductImages(uploaded);
+        plan.errorsByLine.get(plan.group[0].line).push(`Não importado: ${error.message}`);
+      }
+    }
+
+    res.status(200).json({
+      dryRun,
+      applied: true,
+      message: `${saved} de ${plans.length} produto(s) importado(s).`,
+      summary: summary(),
+      rows: report(),
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Erro ao importar produtos', error: error.message });
+  }
+};
+
+// =================================================================
+// == CONTROLLERS DE ALERTAS DE PRODUTO (Público) ==================
+// =================================================================
+
+// Pedir um alerta no WhatsApp para um produto (Público; com login de cliente o telefone é opcional)
+// Body: { phone, type: 'back_in_stock' | 'price_drop', variantId? }. Sem variantId vale para qualquer tamanho.
+// Pedir de novo o mesmo alerta apenas renova o prazo. Nenhuma mensagem é enviada ao subscrever,
+// para que o endpoint não sirva para mandar mensagens a números de terceiros.
+exports.subscribeToProduct = async (req, res) => {
+    try {
+        const { type, variantId } = req.body;
+        if (!SUBSCRIPTION_TYPES.includes(type)) {
+            return res.status(400).json({ message: `Tipo de alerta inválido. Valores aceitos: ${SUBSCRIPTION_TYPES.join(', ')}.` });
+        }
+        const phone = normalizeCustomerPhone(req.body.phone || (req.customer && req.customer.phone));
+        if (!phone) {
+            return res.status(400).json({ message: 'Número de telefone inválido. Use um número M-Pesa (84 ou 85).' });
+        }
+
+        const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id) : null;
+        if (!product) {
+            return res.status(404).json({ message: 'Produto não encontrado.' });
+        }
+        const variant = variantId ? product.findVariant(variantId) : null;
+        if (variantId && !variant) {
+            return res.status(400).json({ message: 'Tamanho inválido para este produto.' });
+        }
+        if (type === 'back_in_stock' && (variant ? variant.stock : product.stock) > 0) {
+            return res.status(409).json({ message: 'Este produto está disponível. Pode comprá-lo já!' });
+        }
+
+        const filter = { phone, product: product._id, variant: variant ? variant._id : null, type };
+        const exists = await ProductSubscription.exists(filter);
+        if (!exists && await ProductSubscription.countDocuments({ phone, expiresAt: { $gt: new Date() } }) >= config.subscriptions.maxActivePerPhone) {
+            return res.status(429).json({ message: `Este número já tem ${config.subscriptions.maxActivePerPhone} alertas ativos. Responda STOP no WhatsApp para os cancelar.` });
+        }
+
+        const expiresAt = new Date(Date.now() + config.subscriptions.ttlDays * 24 * 60 * 60 * 1000);
+        const update = { expiresAt };
+        if (type === 'price_drop') {
+            update.referencePrice = subscriptionPrice(product, filter.variant);
+        }
+        const subscription = await ProductSubscription.findOneAndUpdate(filter, { $set: update }, { upsert: true, new: true });
+
+        res.status(exists ? 200 : 201).json({
+            message: type === 'back_in_stock'
+                ? 'Vamos avisá-lo no WhatsApp quando o produto voltar ao estoque.'
+                : 'Vamos avisá-lo no WhatsApp quando o preço baixar.',
+            type: subscription.type,
+            referencePrice: subscription.referencePrice,
+            expiresAt: subscription.expiresAt,
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao criar o alerta', error: error.message });
+    }
+};
+
+
+// =================================================================
+// == CONTROLLERS DE AVALIAÇÕES (Público e Admin) ==================
+// =================================================================
+
+const REVIEW_FIELDS = ['rating', 'text', 'longevity', 'sillage'];
+const REVIEW_MODERATION_STATUSES = ['approved', 'rejected'];
+const REVIEWS_PAGE_SIZE = 20;
+
+// Recalcula o resumo de avaliações do produto (só as aprovadas contam)
+const refreshProductRating = async (productId) => {
+    const [summary] = await Review.aggregate([
+        { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+        {
+            $group: {
+                _id: null,
+                average: { $avg: '$rating' },
+                count: { $sum: 1 },
+                longevity: { $avg: '$longevity' },
+                sillage: { $avg: '$sillage' },
+            },
+        },
+    ]);
+    const round = (value) => (typeof value === 'number' ? Math.round(value * 10) / 10 : undefined);
+    const rating = summary
+        ? { average: round(summary.average), count: summary.count, longevity: round(summary.longevity), sillage: round(summary.sillage) }
+        : { average: 0, count: 0 };
+    await Product.updateOne({ _id: productId }, { $set: { rating } });
+};
+
+// Avaliar um produto (Público)
+// Body: { trackingId, rating, text?, longevity?, sillage? }. O trackingId tem de ser de um pedido entregue
+// que contenha o produto. A avaliação só aparece na loja depois de aprovada.
+exports.createReview = async (req, res) => {
+    try {
+        const { trackingId } = req.body;
+        if (!trackingId) {
+            return res.status(400).json({ message: 'Informe o código do pedido (trackingId).' });
+        }
+        const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id, 'name') : null;
+        if (!product) {
+            return res.status(404).json({ message: 'Produto não encontrado.' });
+        }
+
+        const order = await Order.findOne({ trackingId: String(trackingId).replace(/^#/, '') });
+        const line = order && order.products.find((item) => item.product && item.product.equals(product._id));
+        if (!order || !line) {
+            return res.status(404).json({ message: 'Não encontrámos este produto no pedido indicado.' });
+        }
+        if (order.orderStatus !== 'delivered') {
+            return res.status(400).json({ message: 'Só pode avaliar o produto depois de receber o pedido.' });
+        }
+
+        const review = await Review.create({
+            ...pickFields(req.body, REVIEW_FIELDS),
+            product: product._id,
+            order: order._id,
+            size: line.size,
+            authorName: (order.customerInfo.name || '').trim().split(/\s+/)[0],
+        });
+
+        res.status(201).json({ message: 'Obrigado pela sua avaliação! Será publicada depois de revista pela nossa equipa.', reviewId: review._id });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Já avaliou este produto para este pedido.' });
+        }
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ message: 'Avaliação inválida.', error: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao guardar a avaliação', error: error.message });
+    }
+};
+
+// Avaliações aprovadas de um produto (Público). ?page=
+exports.getProductReviews = async (req, res) => {
+    try {
+        const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id, 'rating') : null;
+        if (!product) {
+            return res.status(404).json({ message: 'Produto não encontrado.' });
+        }
+
+        const filter = { product: product._id, status: 'approved' };
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const [reviews, total] = await Promise.all([
+            Review.find(filter)
+                .select('authorName size rating text longevity sillage createdAt')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * REVIEWS_PAGE_SIZE)
+                .limit(REVIEWS_PAGE_SIZE),
+            Review.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            rating: product.rating,
+            reviews,
+            pagination: { page, limit: REVIEWS_PAGE_SIZE, total, totalPages: Math.ceil(total / REVIEWS_PAGE_SIZE) },
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar avaliações', error: error.message });
+    }
+};
+
+// Fila de moderação (Admin). ?status=pending|approved|rejected (padrão: pending), ?product=, ?page=
+exports.getReviews = async (req, res) => {
+    try {
+        const filter = { status: req.query.status || 'pending' };
+        if (req.query.product) {
+            if (!mongoose.isValidObjectId(req.query.product)) {
+                return res.status(400).json({ message: 'ID de produto inválido.' });
+            }
+            filter.product = req.query.product;
+        }
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const [reviews, total] = await Promise.all([
+            Review.find(filter)
+                .sort({ createdAt: filter.status === 'pending' ? 1 : -1 }) // Pendentes: as mais antigas primeiro
+                .skip((page - 1) * REVIEWS_PAGE_SIZE)
+                .limit(REVIEWS_PAGE_SIZE)
+                .populate('product', 'name')
+                .populate('order', 'trackingId customerInfo.name')
+                .populate('moderatedBy', 'username'),
+            Review.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            reviews,
+            pagination: { page, limit: REVIEWS_PAGE_SIZE, total, totalPages: Math.ceil(total / REVIEWS_PAGE_SIZE) },
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar avaliações', error: error.message });
+    }
+};
+
+// Aprovar ou rejeitar uma avaliação (Admin). Body: { status: 'approved' | 'rejected', note? }
+exports.moderateReview = async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        if (!REVIEW_MODERATION_STATUSES.includes(status)) {
+            return res.status(400).json({ message: `Estado inválido. Valores aceitos: ${REVIEW_MODERATION_STATUSES.join(', ')}.` });
+        }
+
+        const review = await Review.findByIdAndUpdate(
+            req.params.id,
+            { $set: { status, moderatedBy: req.user.id, moderatedAt: new Date(), moderationNote: note } },
+            { new: true }
+        );
+        if (!review) {
+            return res.status(404).json({ message: 'Avaliação não encontrada.' });
+        }
+        await refreshProductRating(review.product);
+
+        res.status(200).json(review);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao moderar avaliação', error: error.message });
+    }
+};
+
+// Apagar uma avaliação (Admin)
+exports.deleteReview = async (req, res) => {
+    try {
+        const review = await Review.findByIdAndDelete(req.params.id);
+        if (!review) {
+            return res.status(404).json({ message: 'Avaliação não encontrada.' });
+        }
+        await refreshProductRating(review.product);
+        res.status(200).json({ message: 'Avaliação apagada.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao apagar avaliação', error: error.message });
+    }
+};
+
+
+// =================================================================
+// == CONTROLLERS DE ESTOQUE (Admin) ===============================
+// =================================================================
+
+const MANUAL_STOCK_REASONS = ['restock', 'adjustment'];
+const STOCK_MOVEMENTS_PAGE_SIZE = 50;
+
+// Registar uma entrada de mercadoria ou uma correção manual do estoque de uma variante (Admin)
+// Body: { variantId, reason: 'restock' | 'adjustment', quantity, note }
+//   restock    -> quantity > 0 (unidades recebidas)
+//   adjustment -> quantity positiva ou negativa; a nota com o motivo é obrigatória
+exports.adjustProductStock = async (req, res) => {
+    try {
+        const { variantId, reason, note } = req.body;
+        const quantity = Number(req.body.quantity);
+
+        if (!MANUAL_STOCK_REASONS.includes(reason)) {
+            return res.status(400).json({ message: `Motivo inválido. Valores aceitos: ${MANUAL_STOCK_REASONS.join(', ')}.` });
+        }
+        if (!Number.isInteger(quantity) || quantity === 0) {
+            return res.status(400).json({ message: 'A quantidade deve ser um número inteiro diferente de zero.' });
+        }
+        if (reason === 'restock' && quantity < 0) {
+            return res.status(400).json({ message: 'Uma entrada de mercadoria deve ter quantidade positiva. Use reason=adjustment para retirar unidades.' });
+        }
+        if (reason === 'adjustment' && !(note && String(note).trim())) {
+            return res.status(400).json({ message: 'Indique na nota o motivo do ajuste.' });
+        }
+
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({ message: 'Produto não encontrado.' });
+        }
+        const variant = variantId
+            ? product.findVariant(variantId)
+            : (product.variants.length === 1 ? product.variants[0] : null);
+        if (!variant) {
+            return res.status(400).json({ message: 'Indique uma variante (variantId) válida do produto.' });
+        }
+
+        // Uma saída nunca deixa o estoque negativo
+        const movement = await changeVariantStock(
+            product._id, variant._id, quantity,
+            { reason, admin: req.user.id, note },
+            { requireStock: true }
+        );
+        if (!movement) {
+            return res.status(409).json({ message: `Estoque insuficiente: a variante ${variant.size} não tem ${-quantity} unidade(s).` });
+        }
+
+        res.status(201).json({ message: 'Estoque atualizado.', movement });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao atualizar o estoque', error: error.message });
+    }
+};
+
+// Histórico de movimentos de estoque (Admin)
+// Filtros: ?product=, ?variant=, ?order=, ?reason=, ?from=&to= (datas), ?page=
+exports.getStockMovements = async (req, res) => {
+    try {
+        const { product, variant, order, reason, from, to } = req.query;
+        const filter = {};
+        for (const [field, value] of Object.entries({ product, variant, order })) {
+            if (value === undefined) continue;
+            if (!mongoose.isValidObjectId(value)) {
+                return res.status(400).json({ message: `ID inválido em ${field}.` });
+            }
+            filter[field] = value;
+        }
+        if (reason) filter.reason = reason;
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const [movements, total] = await Promise.all([
+            StockMovement.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * STOCK_MOVEMENTS_PAGE_SIZE)
+                .limit(STOCK_MOVEMENTS_PAGE_SIZE)
+                .populate('product', 'name')
+                .populate('order', 'trackingId')
+                .populate('admin', 'username'),
+            StockMovement.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            movements,
+            pagination: { page, limit: STOCK_MOVEMENTS_PAGE_SIZE, total, totalPages: Math.ceil(total / STOCK_MOVEMENTS_PAGE_SIZE) },
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar os movimentos de estoque', error: error.message });
+    }
+};
+
+
+// =================================================================
+// == CONTROLLERS DE PEDIDOS E PAGAMENTO ===========================
+// =================================================================
+
+// Verifica o cupom para um carrinho já calculado e devolve o desconto
+// Inclui o limite por telefone, que conta os pedidos ativos (não expirados/cancelados) com o mesmo cupom.
+const checkCoupon = async (code, { lines, subtotal, phone, session }) => {
+    const coupon = await Coupon.findOne({ code: normalizeCouponCode(code) }).session(session || null);
+    const discount = calculateCouponDiscount(coupon, { lines, subtotal });
+
+    if (coupon.usageLimitPerPhone) {
+        const used = await Order.countDocuments({
+            'coupon.code': coupon.code,
+            'coupon.phone': couponPhoneKey(phone),
+            stockReleased: false,
+        }).session(session || null);
+        if (used >= coupon.usageLimitPerPhone) {
+            throw new CouponError('Você já usou este cupom o número máximo de vezes.');
+        }
+    }
+    return { coupon, discount };
+};
+
+// Reserva uma utilização do cupom de forma atômica (dois checkouts simultâneos não passam do limite)
+const claimCouponUsage = async (coupon, session) => {
+    const claimed = await Coupon.findOneAndUpdate(
+        { _id: coupon._id, $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+        { $inc: { usedCount: 1 } },
+        { session, new: true }
+    );
+    if (!claimed) {
+        throw new CouponError('Este cupom já atingiu o limite de utilizações.');
+    }
+};
+
+// Calcula as linhas do carrinho a partir de [{ productId, variantId, quantity }] com os preços em vigor
+// (promoções incluídas). Lança erro se um produto/variante não existir ou não houver estoque.
+// Com 'reserve', decrementa o estoque na sessão (usado no checkout) e cada linha leva o estoque
+// resultante em 'stockAfter', para o histórico de movimentos.
+const priceCartLines = async (products, { session, reserve = false } = {}) => {
+    const lines = [];
+    for (const item of products) {
+        const product = await Product.findById(item.productId).session(session || null);
+        if (!product) {
+            throw new Error(`Produto com ID ${item.productId} não encontrado.`);
+        }
+        const variant = item.variantId
+            ? product.findVariant(item.variantId)
+            : (product.variants.length === 1 ? product.variants[0] : null);
+        if (!variant) {
+            throw new Error(`Escolha um tamanho válido para o produto: ${product.name}.`);
+        }
+        if (variant.stock < item.quantity) {
+            throw new Error(`Estoque insuficiente para o produto: ${product.name} (${variant.size}).`);
+        }
+
+        lines.push({
+            product: product._id,
+            variant: variant._id,
+            sku: variant.sku,
+            size: variant.size,
+            type: product.type,
+            quantity: item.quantity,
+            price: variant.currentPrice(),
+        });
+
+        if (reserve) {
+            // Decrementa o estoque da variante (o total do produto é recalculado ao gravar)
+            variant.stock -= item.quantity;
+            await product.save({ session });
+            lines[lines.length - 1].stockAfter = variant.stock;
+        }
+    }
+    return lines;
+};
+
+// Taxa de entrega da zona para um valor de produtos (já com desconto)
+const calculateShippingFee = (zone, goodsAmount) => (
+    zone.freeDeliveryThreshold && goodsAmount >= zone.freeDeliveryThreshold ? 0 : zone.fee
+);
+
+// Erro de checkout causado pelos dados enviados pelo cliente (zona inválida, etc.) -> 400
+class CheckoutError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CheckoutError';
+    }
+}
+
+// Calcula os valores de um pedido: itens (com promoções), desconto do cupom, entrega e total.
+// 'reserve' decrementa o estoque e reserva o cupom na sessão (checkout); sem ele é só uma cotação.
+const priceOrder = async ({ products, couponCode, phone, deliveryZoneId, session, reserve = false }) => {
+    if (!deliveryZoneId) {
+        throw new CheckoutError('Escolha a zona de entrega.');
+    }
+    const zone = mongoose.isValidObjectId(deliveryZoneId)
+        ? await DeliveryZone.findOne({ _id: deliveryZoneId, active: true }).session(session || null)
+        : null;
+    if (!zone) {
+        throw new CheckoutError('Zona de entrega inválida.');
+    }
+
+    const lines = await priceCartLines(products, { session, reserve });
+    const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+
+    let discountAmount = 0;
+    let coupon = null;
+    if (couponCode) {
+        const checked = await checkCoupon(couponCode, { lines, subtotal, phone, session });
+        if (reserve) {
+            await claimCouponUsage(checked.coupon, session);
+        }
+        coupon = checked.coupon;
+        discountAmount = checked.discount;
+    }
+
+    const goodsAmount = roundMoney(subtotal - discountAmount);
+    const shippingFee = calculateShippingFee(zone, goodsAmount);
+    return {
+        lines,
+        subtotal,
+        discountAmount,
+        coupon,
+        zone,
+        shippingFee,
+        totalAmount: roundMoney(goodsAmount + shippingFee),
+    };
+};
+
+// Telefone no formato usado para ligar pedidos e contas (258XXXXXXXXX); null se não for um número M-Pesa válido
+const normalizeCustomerPhone = (phone) => {
+    try {
+        return normalizeMpesaNumber(String(phone || ''));
+    } catch (error) {
+        return null;
+    }
+};
+
+// Dados do cliente para o checkout. Com login (req.customer), o que faltar em customerInfo vem da conta:
+// nome, telefone e o endereço guardado indicado em 'addressId' (ou o endereço padrão), cuja zona
+// de entrega é usada quando o pedido não indica deliveryZoneId.
+const resolveCheckoutCustomer = async (req) => {
+    const customerInfo = { ...(req.body.customerInfo || {}) };
+    if (!req.customer) {
+        return { customerInfo };
+    }
+
+    const customer = await Customer.findById(req.customer.id);
+    const { addressId } = req.body;
+    const address = addressId
+        ? customer.findAddress(addressId)
+        : customer.addresses.find((saved) => saved.isDefault);
+    if (addressId && !address) {
+        throw new CheckoutError('Endereço guardado não encontrado.');
+    }
+
+    customerInfo.name = customerInfo.name || customer.name;
+    customerInfo.phone = customerInfo.phone || customer.phone;
+    customerInfo.address = customerInfo.address || (address && address.address);
+    return { customerInfo, customer: customer._id, deliveryZoneId: address && address.deliveryZone };
+};
+
+// Validar um cupom antes do checkout (Público)
+// Body: { code, products: [{ productId, variantId, quantity }], phone? }. Não reserva o cupom nem o estoque.
+exports.previewCoupon = async (req, res) => {
+    try {
+        const { code, products, phone } = req.body;
+        if (!code || !Array.isArray(products) || products.length === 0) {
+            return res.status(400).json({ message: 'Informe o código do cupom e os produtos do carrinho.' });
+        }
+
+        const lines = await priceCartLines(products);
+        const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+        const { coupon, discount } = await checkCoupon(code, { lines, subtotal, phone });
+
+        res.status(200).json({
+            code: coupon.code,
+            description: coupon.description,
+            subtotal,
+            discountAmount: discount,
+            totalAmount: roundMoney(subtotal - discount),
+        });
+    } catch (error) {
+        if (error instanceof CouponError) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao validar cupom', error: error.message });
+    }
+};
+
+// Criar um novo pedido (Checkout)
+// Body: { customerInfo, products, paymentMethod, deliveryZoneId, couponCode? }.
+// Com login de cliente, customerInfo e deliveryZoneId podem ser omitidos e 'addressId' escolhe um endereço guardado.
+// O valor cobrado no provedor já tem o desconto e a taxa de entrega.
+exports.createOrder = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { products, paymentMethod, couponCode } = req.body;
+        const checkoutCustomer = await resolveCheckoutCustomer(req);
+        const { customerInfo } = checkoutCustomer;
+        const deliveryZoneId = req.body.deliveryZoneId || checkoutCustomer.deliveryZoneId;
+        
+        // Validação básica dos dados recebidos
+        if (!customerInfo.name || !customerInfo.phone || !customerInfo.address || !products || !paymentMethod) {
+            return res.status(400).json({ message: "Dados do pedido incompletos." });
+        }
+
+        const provider = getPaymentProvider(paymentMethod);
+        if (!provider) {
+            return res.status(400).json({ message: `O método de pagamento '${paymentMethod}' não está disponível.` });
+        }
+        
+        // Cada item indica a variante: { productId, variantId, quantity }.
+        // Produtos com uma única variante aceitam o item sem variantId (compatibilidade com a loja atual).
+        // Estoque e cupom são reservados dentro da mesma transação que cria o pedido.
+        const pricing = await priceOrder({
+            products,
+            couponCode,
+            phone: customerInfo.phone,
+            deliveryZoneId,
+            session,
+            reserve: true,
+        });
+        const { subtotal, discountAmount, shippingFee, totalAmount, zone } = pricing;
+        const productDetails = pricing.lines.map(({ type, stockAfter, ...line }) => line);
+        const couponSnapshot = pricing.coupon ? {
+            code: pricing.coupon.code,
+            discountType: pricing.coupon.discountType,
+            value: pricing.coupon.value,
+            phone: couponPhoneKey(customerInfo.phone),
+        } : undefined;
+        
+        // Gera uma referência única para o pedido (Third Party Reference)
+        const thirdPartyReference = `PERFUME_${Date.now()}`;
+        
+        const order = new Order({
+            customerInfo,
+            customer: checkoutCustomer.customer,
+            customerPhone: normalizeCustomerPhone(customerInfo.phone) || '',
+            products: productDetails,
+            subtotal,
+            discountAmount,
+            coupon: couponSnapshot,
+            delivery: {
+                zone: zone._id,
+                name: zone.name,
+                fee: shippingFee,
+                estimatedDays: zone.estimatedDays,
+            },
+            shippingFee,
+            totalAmount,
+            paymentMethod,
+            paymentDetails: {
+                provider: provider.label,
+                thirdPartyReference: thirdPartyReference,
+            }
+        });
 
         await order.save({ session });
+        const stockMovements = await recordStockMovements(pricing.lines.map((line) => ({
+            product: line.product,
+            variant: line.variant,
+            sku: line.sku,
+            size: line.size,
+            delta: -line.quantity,
+            stockAfter: line.stockAfter,
+            reason: 'order',
+            order: order._id,
+        })), { session });
+
+        // --- LÓGICA DE PAGAMENTO ---
+        // Cada provedor inicia o pagamento à sua maneira; os assíncronos deixam o pedido 'pending'
+        // até o callback (ou a reconciliação) confirmar o resultado.
+        const payment = await provider.initiate({
+            phone: customerInfo.phone,
+            amount: totalAmount,
+            reference: thirdPartyReference,
+        });
+
+        Object.assign(order.paymentDetails, payment.details);
+        order.paymentStatus = payment.status;
+        order.statusHistory.push(...buildStatusHistory(null, order, { actor: 'system', note: 'Pedido criado' }));
+        await order.save({ session });
+
+        await session.commitTransaction();
+        await notifyLowStock(stockMovements);
+        
+        // Envia notificação de pedido criado
+        const discountText = discountAmount > 0 ? ` (desconto de ${discountAmount.toFixed(2)} MZN com o cupom ${couponSnapshot.code})` : '';
+        const message = `Olá ${customerInfo.name}, seu pedido #${order.trackingId} foi criado com sucesso! Total: ${totalAmount.toFixed(2)} MZN${discountText}. Aguardando pagamento.`;
+        await sendWhatsAppMessage(customerInfo.phone, message, { order: order._id, kind: 'order_created' });
+        // Provedores que confirmam o pagamento de imediato
+        if (order.paymentStatus === 'paid') {
+            await sendOrderReceipt(order);
+        }
+
+        res.status(201).json({ 
+            message: 'Pedido criado com sucesso!', 
+            orderId: order._id,
+            trackingId: order.trackingId,
+            paymentResponse: payment.response,
+            mpesaResponse: paymentMethod === 'Mpesa' ? payment.response : null, // Mantido por compatibilidade com o frontend
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        
+        // Log de erro aprimorado para debugging
+        console.error("====== ERRO AO CRIAR PEDIDO ======");
+        // Erros de comunicação com o provedor de pagamento já chegam padronizados como PaymentError
+        if (error instanceof PaymentError) {
+            // Retorna uma mensagem de erro mais específica para o frontend
+            return res.status(500).json({ message: `Falha na transação ${error.provider}: ${error.message}`, error: error.details });
+        }
+        if (error instanceof CouponError || error instanceof CheckoutError) {
+            return res.status(400).json({ message: error.message });
+        }
+        
+        // Para outros tipos de erro (ex: estoque, telefone inválido)
+        console.error("Erro geral:", error.message);
+        console.error(error.stack);
+        res.status(500).json({ message: 'Erro ao criar o pedido', error: error.message });
+
+    } finally {
+        session.endSession();
+    }
+};
+
+// Devolve ao estoque as quantidades reservadas por um pedido e tira o pedido do limite de uso do cupom
+// (o inverso de reserveOrderStock). Só deve ser chamada por quem acabou de marcar stockReleased: true.
+// Itens já reembolsados (e portanto já devolvidos ao estoque) não são contados de novo.
+// 'adminId' identifica quem cancelou o pedido, quando foi no painel.
+const restoreOrderStock = async (order, { adminId } = {}) => {
+    for (const item of order.products) {
+        const quantity = item.quantity - (item.refundedQuantity || 0);
+        if (quantity > 0) {
+            await changeVariantStock(item.product, item.variant, quantity, { reason: 'order_release', order: order._id, admin: adminId });
+        }
+    }
+    if (order.coupon && order.coupon.code) {
+        await Coupon.updateOne({ code: order.coupon.code, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    }
+};
+
+// Marca o estoque do pedido como devolvido e o devolve, uma única vez
+// A condição stockReleased: false garante que chamadas concorrentes não devolvam o estoque duas vezes.
+const releaseOrderStock = async (order, { adminId } = {}) => {
+    const claimed = await Order.findOneAndUpdate(
+        { _id: order._id, stockReleased: false },
+        { $set: { stockReleased: true } },
+        { new: true }
+    );
+    if (claimed) {
+        await restoreOrderStock(claimed, { adminId });
+    }
+    return Boolean(claimed);
+};
+
+// Tenta reservar novamente o estoque de um pedido cuja reserva já foi devolvida.
+// Cada item só é decrementado se houver estoque suficiente; se algum falhar, desfaz os anteriores.
+const reserveOrderStock = async (order) => {
+    const reserved = [];
+    for (const item of order.products) {
+        const movement = await changeVariantStock(
+            item.product, item.variant, -item.quantity,
+            { reason: 'order_reserve', order: order._id },
+            { requireStock: true }
+        );
+        if (!movement) {
+            for (const done of reserved) {
+                await changeVariantStock(done.product, done.variant, done.quantity, { reason: 'order_reserve_rollback', order: order._id });
+            }
+            return false;
+        }
+        reserved.push(item);
+    }
+    // Pagamento tardio: o pedido volta a contar para o cupom (sem verificar o limite, o cliente já pagou)
+    if (order.coupon && order.coupon.code) {
+        await Coupon.updateOne({ code: order.coupon.code }, { $inc: { usedCount: 1 } });
+    }
+    return true;
+};
+
+// Acrescenta entradas ao histórico de status de um pedido já gravado
+const appendStatusHistory = async (orderId, entries) => {
+    if (entries.length > 0) {
+        await Order.updateOne({ _id: orderId }, { $push: { statusHistory: { $each: entries } } });
+    }
+};
+
+// Emite o recibo de um pedido pago e envia-o ao cliente como documento PDF no WhatsApp.
+// Nunca lança erro: uma falha no recibo não deve afetar a confirmação do pagamento (o admin pode descarregá-lo depois).
+const sendOrderReceipt = async (order) => {
+    try {
+        const receipt = await buildReceipt(order._id);
+        await sendWhatsAppMessage(order.customerInfo.phone, `Segue o recibo ${receipt.number} do seu pedido #${order.trackingId}. Obrigado pela sua compra!`, {
+            order: order._id,
+            kind: 'receipt',
+            document: { data: receipt.pdf, fileName: receipt.fileName, mimetype: 'application/pdf' },
+        });
+    } catch (error) {
+        console.error(`Erro ao emitir o recibo do pedido ${order.trackingId}:`, error);
+    }
+};
+
+// Aplica o resultado de um pagamento a um pedido (callback, consulta manual ou reconciliação)
+// As mudanças de estado são atômicas (condicionadas ao estado atual e ao grafo de orderStatus.js) para que
+// o callback, a reconciliação e o job de expiração nunca processem o mesmo pedido duas vezes.
+// Retorna { order, applied }: 'applied' é false quando o pedido já tinha saído de 'pending'.
+const settlePayment = async (filter, { paid, resultCode, resultDesc, transactionID }) => {
+    const existing = await Order.findOne(filter);
+    if (!existing) {
+        return { order: null, applied: false };
+    }
+
+    const paymentUpdate = {
+        'paymentDetails.responseCode': resultCode,
+        'paymentDetails.responseDescription': resultDesc,
+    };
+    if (transactionID) {
+        paymentUpdate['paymentDetails.transactionID'] = transactionID;
+    }
+
+    let order = null;
+    let message = '';
+    if (paid) {
+        order = await Order.findOneAndUpdate(
+            { ...filter, paymentStatus: 'pending', stockReleased: false },
+            { $set: { ...paymentUpdate, paymentStatus: 'paid', orderStatus: 'processing' } },
+            { new: true }
+        );
+        if (order) {
+            message = `Pagamento do seu pedido #${order.trackingId} foi confirmado! Já estamos a preparar a sua encomenda.`;
+        } else if (existing.stockReleased && statusesLeadingTo('paymentStatus', 'paid', 'system').includes(existing.paymentStatus)) {
+            // Pagamento confirmado depois de a reserva ser devolvida (expirada ou cancelada): tenta recuperar o pedido
+            order = await Order.findOneAndUpdate(
+                { ...filter, paymentStatus: existing.paymentStatus, stockReleased: true },
+                { $set: { ...paymentUpdate, paymentStatus: 'paid' } },
+                { new: true }
+            );
+            if (order && await reserveOrderStock(order)) {
+                order.orderStatus = 'processing';
+                order.stockReleased = false;
+                order.reservationExpiredAt = undefined;
+                await order.save();
+                message = `Pagamento do seu pedido #${order.trackingId} foi confirmado! Já estamos a preparar a sua encomenda.`;
+            } else if (order) {
+                console.error(`Pagamento tardio do pedido ${order.trackingId} sem estoque disponível. Reembolso manual necessário.`);
+                message = `Recebemos o pagamento do seu pedido #${order.trackingId}, mas a reserva já tinha expirado e o produto esgotou. A nossa equipa vai contactá-lo para o reembolso.`;
+            }
+        }
+    } else {
+        // 'new: false' devolve o pedido antes da alteração, para saber se o estoque ainda estava reservado
+        const previous = await Order.findOneAndUpdate(
+            { ...filter, paymentStatus: { $in: statusesLeadingTo('paymentStatus', 'failed', 'system') } },
+            { $set: { ...paymentUpdate, paymentStatus: 'failed', orderStatus: 'cancelled', stockReleased: true } },
+            { new: false }
+        );
+        if (previous) {
+            order = await Order.findById(previous._id);
+            // Reverte o estoque e o uso do cupom se o pagamento falhar (e se ainda não tiver sido devolvido)
+            if (!previous.stockReleased) {
+                await restoreOrderStock(order);
+            }
+            message = `O pagamento do seu pedido #${order.trackingId} falhou. Motivo: ${resultDesc}. Por favor, tente novamente ou contacte o suporte.`;
+        }
+    }
+
+    if (!order) {
+        return { order: existing, applied: false };
+    }
+
+    await appendStatusHistory(order._id, buildStatusHistory(existing, order, { actor: 'system', note: resultDesc }));
+
+    // Envia notificação de status de pagamento
+    await sendWhatsAppMessage(order.customerInfo.phone, message, { order: order._id, kind: 'payment_status' });
+    // Um pagamento tardio sem estoque deixa o pedido cancelado (vai ser reembolsado): não recebe recibo
+    if (order.paymentStatus === 'paid' && order.orderStatus !== 'cancelled') {
+        await sendOrderReceipt(order);
+    }
+    return { order, applied: true };
+};
+
+// Comparação de segredos em tempo constante (evita ataques de temporização)
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Verifica se um callback vem de fato do provedor
+// 'auth' = { secret, allowedIPs }. Com IPs configurados, a origem tem de estar na lista;
+// com segredo configurado, o pedido tem de trazer o token ou uma assinatura HMAC válida do corpo.
+// Retorna null se o pedido for aceito, ou o motivo da rejeição.
+const verifyCallbackRequest = (req, auth) => {
+    if (!auth.secret && auth.allowedIPs.length === 0) {
+        return 'Autenticação de callback não configurada.';
+    }
+
+    const ip = (req.ip || '').replace(/^::ffff:/, '');
+    if (auth.allowedIPs.length > 0 && !auth.allowedIPs.includes(ip)) {
+        return `IP de origem ${ip} não autorizado.`;
+    }
+
+    if (auth.secret) {
+        const token = req.get('X-Callback-Token') || req.query.token;
+        const signature = req.get('X-Callback-Signature');
+        const validToken = Boolean(token) && safeEqual(token, auth.secret);
+        const validSignature = Boolean(signature) && Boolean(req.rawBody) &&
+            safeEqual(signature, crypto.createHmac('sha256', auth.secret).update(req.rawBody).digest('hex'));
+        if (!validToken && !validSignature) {
+            return 'Token ou assinatura do callback inválidos.';
+        }
+    }
+
+    return null;
+};
+
+// Serializa um valor em JSON com as chaves dos objetos ordenadas, em todos os níveis
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// Gera uma impressão digital do callback (provedor + corpo com as chaves ordenadas)
+const fingerprintCallback = (providerName, body) =>
+    crypto.createHash('sha256')
+        .update(`${providerName}:${stableStringify(body)}`)
+        .digest('hex');
+
+// Guarda o callback para auditoria. Se um callback autenticado idêntico já tiver sido recebido,
+// o índice único de PaymentCallback rejeita a inserção e o registro é guardado como duplicado.
+const recordPaymentCallback = async (entry) => {
+    try {
+        return await PaymentCallback.create(entry);
+    } catch (error) {
+        if (error.code === 11000) {
+            return PaymentCallback.create({ ...entry, claimed: false, duplicate: true, outcome: 'ignored', detail: 'Callback repetido.' });
+        }
+        throw error;
+    }
+};
+
+// Cria o controller de callback de um provedor de pagamento
+// Estas rotas não são chamadas pelo nosso frontend, mas sim pelos servidores dos provedores.
+// 'method' limita a busca aos pedidos daquele método; sem ele (sandbox), vale qualquer método.
+// 'auth' = { secret, allowedIPs } vindo do config; sem ele (sandbox), o callback não é autenticado.
+const handlePaymentCallback = (provider, method, auth) => async (req, res) => {
+    let callback = null;
+    try {
+        console.log(`Callback ${provider.label} recebido:`, req.body);
+        const rejection = auth ? verifyCallbackRequest(req, auth) : null;
+        const { reference, paid, resultCode, resultDesc, transactionID } = provider.parseCallback(req.body);
+
+        callback = await recordPaymentCallback({
+            provider: provider.label,
+            reference,
+            payload: req.body,
+            ip: req.ip,
+            fingerprint: fingerprintCallback(provider.label, req.body),
+            authenticated: !rejection,
+            claimed: !rejection,
+            outcome: rejection ? 'rejected' : 'received',
+            detail: rejection || undefined,
+        });
+
+        if (rejection) {
+            console.error(`Callback ${provider.label} rejeitado: ${rejection}`);
+            return res.status(401).json({ message: 'Callback não autorizado.' });
+        }
+
+        if (callback.duplicate) {
+            console.log(`Callback ${provider.label} repetido para ${reference}. Ignorado.`);
+            return res.status(200).json({ message: 'Callback já processado.' });
+        }
+
+        if (!reference) {
+            await PaymentCallback.updateOne({ _id: callback._id }, { outcome: 'error', detail: 'Referência ausente.' });
+            return res.status(400).json({ message: 'Referência do pedido não encontrada no callback.' });
+        }
+
+        const filter = { 'paymentDetails.thirdPartyReference': reference };
+        if (method) {
+            filter.paymentMethod = method;
+        }
+
+        const { order, applied } = await settlePayment(filter, { paid, resultCode, resultDesc, transactionID });
+
+        if (!order) {
+            console.error(`Pedido com referência ${reference} não encontrado.`);
+            await PaymentCallback.updateOne({ _id: callback._id }, { outcome: 'not_found' });
+            return res.status(404).send(); // Apenas responde, não envia JSON
+        }
+
+        await PaymentCallback.updateOne({ _id: callback._id }, {
+            outcome: applied ? 'applied' : 'ignored',
+            order: order._id,
+            detail: applied ? undefined : `Pedido já estava '${order.paymentStatus}'.`,
+        });
+
+        if (!applied) {
+            // O pedido já saiu de 'pending' (reserva já expirada ou outro resultado já aplicado)
+            console.log(`Callback ${provider.label} ignorado para ${reference}: pedido já está '${order.paymentStatus}'.`);
+            return res.status(200).json({ message: 'Callback já processado.' });
+        }
+
+        // Responde ao provedor para confirmar o recebimento do callback
+        res.status(200).json({ message: 'Callback processado.' });
+
+    } catch (error) {
+        console.error(`Erro no callback ${provider.label}:`, error);
+        if (callback) {
+            // Libera o fingerprint para que a retentativa do provedor seja processada
+            await PaymentCallback.updateOne({ _id: callback._id }, { outcome: 'error', claimed: false, detail: error.message }).catch(() => {});
+        }
+        res.status(500).send(); // Apenas responde, não envia JSON
+    }
+};
+
+// Callback do M-Pesa para confirmar o pagamento
+exports.mpesaCallback = handlePaymentCallback(providers.Mpesa, 'Mpesa', {
+    secret: config.mpesa.callbackSecret,
+    allowedIPs: config.mpesa.callbackAllowedIPs,
+});
+
+// Callback do e-Mola (Movitel) para confirmar o pagamento
+exports.emolaCallback = handlePaymentCallback(providers.Emola, 'Emola', {
+    secret: config.emola.callbackSecret,
+    allowedIPs: config.emola.callbackAllowedIPs,
+});
+
+// Callback do provedor sandbox: permite forçar o resultado de um pagamento em testes locais
+exports.sandboxCallback = handlePaymentCallback(createSandboxProvider('Sandbox'));
+
+// Listar callbacks de pagamento recebidos (Admin)
+// Filtros opcionais: ?reference=, ?outcome=, ?limit= (padrão 100)
+exports.getPaymentCallbacks = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.reference) filter.reference = req.query.reference;
+        if (req.query.outcome) filter.outcome = req.query.outcome;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+        const callbacks = await PaymentCallback.find(filter).sort({ createdAt: -1 }).limit(limit);
+        res.status(200).json(callbacks);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar callbacks', error: error.message });
+    }
+};
+
+// Consulta o provedor sobre um pedido e aplica o resultado se a transação já estiver concluída
+// Transações ainda pendentes não alteram o pedido (o job de expiração trata delas).
+const reconcileOrderPayment = async (order) => {
+    const provider = getPaymentProvider(order.paymentMethod);
+    const result = await provider.queryStatus(order.paymentDetails);
+
+    await Order.updateOne({ _id: order._id }, {
+        $set: {
+            'paymentDetails.transactionStatus': result.transactionStatus,
+            'paymentDetails.lastQueriedAt': new Date(),
+        },
+    });
+
+    let settlement = { order, applied: false };
+    if (result.status === 'completed' || result.status === 'failed') {
+        settlement = await settlePayment({ _id: order._id }, {
+            paid: result.status === 'completed',
+            resultCode: result.resultCode,
+            resultDesc: `Consulta de transação: ${result.transactionStatus}`,
+        });
+    }
+
+    return { ...settlement, transactionStatus: result.transactionStatus, providerResponse: result.response };
+};
+
+// Reconsultar o estado do pagamento de um pedido junto ao provedor (Admin)
+exports.checkPaymentStatus = async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ message: 'Pedido não encontrado' });
+        }
+        if (!getMethodsSupporting('queryStatus').includes(order.paymentMethod)) {
+            return res.status(400).json({ message: `O método '${order.paymentMethod}' não permite consultar o estado do pagamento.` });
+        }
+
+        const { order: updatedOrder, applied, transactionStatus, providerResponse } = await reconcileOrderPayment(order);
+        res.status(200).json({
+            transactionStatus,
+            settled: applied,
+            order: await Order.findById(updatedOrder._id),
+            providerResponse,
+        });
+    } catch (error) {
+        if (error instanceof PaymentError) {
+            return res.status(502).json({ message: `Falha na consulta ${error.provider}: ${error.message}`, error: error.details });
+        }
+        res.status(500).json({ message: 'Erro ao consultar estado do pagamento', error: error.message });
+    }
+};
+
+// Reconciliação periódica: consulta o provedor para cada pedido 'pending' sem callback há algum tempo
+// Não é um controller HTTP: é executado periodicamente pelo server.js.
+exports.reconcilePendingPayments = async () => {
+    const cutoff = new Date(Date.now() - config.payments.reconcileAfterMinutes * 60 * 1000);
+    const staleOrders = await Order.find({
+        paymentMethod: { $in: getMethodsSupporting('queryStatus') },
+        paymentStatus: 'pending',
+        stockReleased: false,
+        createdAt: { $lte: cutoff },
+    }).sort({ createdAt: 1 }).limit(config.payments.reconcileBatchSize);
+
+    let settledCount = 0;
+    for (const order of staleOrders) {
+        try {
+            const { applied } = await reconcileOrderPayment(order);
+            if (applied) settledCount++;
+        } catch (error) {
+            // Uma falha numa consulta não deve interromper as restantes
+            console.error(`Falha ao reconciliar pedido ${order.trackingId}:`, error.details || error.message);
+        }
+    }
+
+    if (settledCount > 0) {
+        console.log(`Reconciliação de pagamentos: ${settledCount} pedido(s) atualizado(s).`);
+    }
+    return settledCount;
+};
+
+// Expira pedidos que continuam 'pending' após o prazo configurado e devolve o estoque
+// Só vale para métodos em que o cliente precisa confirmar o pagamento (M-Pesa, e-Mola); não para 'Entrega'.
+// Não é um controller HTTP: é executado periodicamente pelo server.js.
+// A transição é condicionada a paymentStatus 'pending', então um callback que chegue
+// ao mesmo tempo vence ou perde a corrida de forma atômica, sem devolver o estoque duas vezes.
+exports.expirePendingPayments = async () => {
+    const cutoff = new Date(Date.now() - config.orderExpiry.pendingPaymentMinutes * 60 * 1000);
+    const staleOrders = await Order.find({
+        paymentMethod: { $in: getExpiringMethods() },
+        paymentStatus: 'pending',
+        createdAt: { $lte: cutoff },
+    }).select('_id');
+
+    let expiredCount = 0;
+    for (const { _id } of staleOrders) {
+        const previous = await Order.findOneAndUpdate(
+            { _id, paymentStatus: 'pending' },
+            { $set: { paymentStatus: 'failed', orderStatus: 'cancelled', stockReleased: true, reservationExpiredAt: new Date() } },
+            { new: false }
+        );
+        if (!previous) continue; // O callback chegou primeiro
+
+        const order = await Order.findById(_id);
+        await appendStatusHistory(_id, buildStatusHistory(previous, order, { actor: 'system', note: 'Prazo de pagamento expirado.' }));
+        if (!previous.stockReleased) {
+            await restoreOrderStock(order);
+        }
+        expiredCount++;
+
+        const message = `O prazo para pagamento do seu pedido #${order.trackingId} expirou e o pedido foi cancelado. Se ainda quiser os produtos, faça um novo pedido.`;
+        await sendWhatsAppMessage(order.customerInfo.phone, message, { order: order._id, kind: 'payment_expired' });
+    }
+
+    if (expiredCount > 0) {
+        console.log(`${expiredCount} pedido(s) sem pagamento expirado(s) e estoque devolvido.`);
+    }
+    return expiredCount;
+};
+
+// Função utilitária para comparar o telefone informado pelo cliente com o do pedido
+// Aceita o número completo (com ou sem 258) ou apenas os últimos dígitos (mínimo 4)
+const phoneMatches = (storedPhone, providedPhone) => {
+    if (!storedPhone || !providedPhone) return false;
+    const stored = storedPhone.replace(/\D/g, '');
+    let provided = providedPhone.replace(/\D/g, '');
+    if (provided.length === 12 && provided.startsWith('258')) {
+        provided = provided.substring(3);
+    }
+    if (provided.startsWith('0')) {
+        provided = provided.substring(1);
+    }
+    return provided.length >= 4 && stored.endsWith(provided);
+};
+
+// Monta a linha do tempo pública do pedido a partir do histórico de status
+// Notas internas e o admin responsável não são expostos.
+// Pedidos gravados antes do histórico existir usam as datas disponíveis.
+const buildOrderTimeline = (order) => {
+    if (order.statusHistory && order.statusHistory.length > 0) {
+        return order.statusHistory.map((entry) => ({
+            field: entry.field,
+            from: entry.from,
+            to: entry.to,
+            at: entry.at,
+        }));
+    }
+
+    const timeline = [{ status: 'created', at: order.createdAt }];
+    if (order.paymentStatus !== 'pending' || order.orderStatus !== 'processing') {
+        timeline.push({
+            status: order.orderStatus,
+            paymentStatus: order.paymentStatus,
+            at: order.updatedAt,
+        });
+    }
+    return timeline;
+};
+
+// Dados de um pedido mostrados ao cliente (rastreamento e histórico da conta), com os produtos populados
+const customerOrderView = (order) => ({
+    trackingId: order.trackingId,
+    items: order.products.map((item) => ({
+        name: item.product ? item.product.name : 'Produto indisponível',
+        size: item.size,
+        image: item.product && item.product.images.length > 0 ? item.product.images[0].url : undefined,
+        quantity: item.quantity,
+        price: item.price,
+    })),
+    subtotal: order.subtotal,
+    discountAmount: order.discountAmount,
+    couponCode: order.coupon ? order.coupon.code : undefined,
+    delivery: order.delivery,
+    shippingFee: order.shippingFee,
+    totalAmount: order.totalAmount,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    orderStatus: order.orderStatus,
+    createdAt: order.createdAt,
+    timeline: buildOrderTimeline(order),
+});
+
+// Rastrear um pedido pelo trackingId (Público)
+// O cliente precisa informar o telefone do pedido (ou os últimos dígitos) em ?phone=
+// Apenas uma visão segura do pedido é retornada: sem endereço nem dados de pagamento internos.
+exports.trackOrder = async (req, res) => {
+    try {
+        const { trackingId } = req.params;
+        const { phone } = req.query;
+
+        if (!phone) {
+            return res.status(400).json({ message: 'Informe o telefone usado no pedido.' });
+        }
+
+        const order = await Order.findOne({ trackingId }).populate('products.product', 'name images');
+
+        // A mesma resposta para pedido inexistente e telefone incorreto, para não revelar quais IDs existem
+        if (!order || !phoneMatches(order.customerInfo.phone, phone)) {
+            return res.status(404).json({ message: 'Pedido não encontrado.' });
+        }
+
+        res.status(200).json(customerOrderView(order));
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao rastrear pedido', error: error.message });
+    }
+};
+
+// Obter todos os pedidos (Admin)
+exports.getAllOrders = async (req, res) => {
+    try {
+        const orders = await Order.find().populate('products.product').sort({ createdAt: -1 });
+        res.status(200).json(orders);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar pedidos', error: error.message });
+    }
+};
+
+// Estados de pagamento a partir dos quais um reembolso pode ser feito
+const REFUNDABLE_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refund_failed'];
+
+// Resolve os itens a reembolsar a partir de [{ productId, variantId?, quantity }]
+// variantId só é preciso quando o pedido tem mais de uma variante do mesmo produto.
+// Sem 'items', considera tudo o que ainda não foi reembolsado.
+// Retorna { lines } ou { error } com uma mensagem para o admin.
+const resolveRefundLines = (order, items) => {
+    if (!items) {
+        const lines = order.products
+            .map((line) => ({ line, quantity: line.quantity - (line.refundedQuantity || 0) }))
+            .filter(({ quantity }) => quantity > 0);
+        return lines.length > 0 ? { lines } : { error: 'Todos os itens deste pedido já foram reembolsados.' };
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+        return { error: 'Informe os itens a reembolsar.' };
+    }
+
+    const lines = [];
+    for (const item of items) {
+        const candidates = order.products.filter((product) => (item.variantId
+            ? String(product.variant) === String(item.variantId)
+            : product.product.toString() === String(item.productId)));
+        if (candidates.length === 0) {
+            return { error: `O produto ${item.variantId || item.productId} não faz parte deste pedido.` };
+        }
+        if (candidates.length > 1) {
+            return { error: `O pedido tem mais de um tamanho do produto ${item.productId}: informe o variantId.` };
+        }
+        const [line] = candidates;
+        const quantity = parseInt(item.quantity, 10);
+        const available = line.quantity - (line.refundedQuantity || 0);
+        if (!quantity || quantity < 1 || quantity > available) {
+            return { error: `Quantidade inválida para o produto ${item.productId}. Disponível para reembolso: ${available}.` };
+        }
+        lines.push({ line, quantity });
+    }
+    return { lines };
+};
+
+// Reembolsa itens de um pedido através do provedor de pagamento
+// Itens reembolsados voltam ao estoque (se o estoque do pedido ainda não tiver sido devolvido).
+// Cada tentativa fica registrada em order.refunds, com o admin que a iniciou.
+const refundOrderPayment = async (order, { lines, reason, adminId }) => {
+    const provider = getPaymentProvider(order.paymentMethod);
+    // Com desconto, cada item é reembolsado pelo valor efetivamente pago (proporcional ao desconto).
+    // Quando o reembolso fecha o pedido, devolve exatamente o que falta (incluindo a entrega), sem diferenças de arredondamento.
+    const itemsAmount = lines.reduce((sum, { line, quantity }) => sum + line.price * quantity, 0);
+    const refundsEverything = order.products.every((line) => {
+        const refunding = lines.find((entry) => entry.line === line);
+        return line.quantity - (line.refundedQuantity || 0) - (refunding ? refunding.quantity : 0) === 0;
+    });
+    const paidRatio = order.subtotal ? (order.subtotal - (order.discountAmount || 0)) / order.subtotal : 1;
+    const amount = refundsEverything
+        ? roundMoney(order.totalAmount - (order.refundedAmount || 0))
+        : roundMoney(itemsAmount * paidRatio);
+    const refund = {
+        amount,
+        items: lines.map(({ line, quantity }) => ({ product: line.product, variant: line.variant, quantity, price: line.price })),
+        reason,
+        initiatedBy: adminId,
+        thirdPartyReference: `REFUND_${Date.now()}`,
+    };
+
+    if (!order.paymentDetails.transactionID) {
+        refund.status = 'failed';
+        refund.responseDescription = 'Pedido sem ID de transação registrado no provedor.';
+    } else {
+        try {
+            const result = await provider.refund({
+                details: order.paymentDetails,
+                amount,
+                reference: refund.thirdPartyReference,
+            });
+            refund.status = result.success ? 'completed' : 'failed';
+            refund.transactionID = result.transactionID;
+            refund.responseCode = result.responseCode;
+            refund.responseDescription = result.responseDescription;
+        } catch (error) {
+            console.error(`Falha no reembolso ${provider.label} do pedido ${order.trackingId}:`, error.details || error.message);
+            refund.status = 'failed';
+            refund.responseDescription = error.message;
+        }
+    }
+
+    const before = { orderStatus: order.orderStatus, paymentStatus: order.paymentStatus };
+    let message;
+    if (refund.status === 'completed') {
+        for (const { line, quantity } of lines) {
+            line.refundedQuantity = (line.refundedQuantity || 0) + quantity;
+            if (!order.stockReleased) {
+                await changeVariantStock(line.product, line.variant, quantity, { reason: 'refund', order: order._id, admin: adminId });
+            }
+        }
+        order.refundedAmount = (order.refundedAmount || 0) + amount;
+        order.paymentStatus = order.refundedAmount >= order.totalAmount ? 'refunded' : 'partially_refunded';
+        message = `Reembolsámos ${amount.toFixed(2)} MZN do seu pedido #${order.trackingId} para a sua conta ${provider.label}.`;
+    } else {
+        order.paymentStatus = 'refund_failed';
+    }
+
+    order.refunds.push(refund);
+    order.statusHistory.push(...buildStatusHistory(before, order, {
+        actor: 'admin',
+        adminId,
+        note: `Reembolso de ${amount.toFixed(2)} MZN (${refund.status === 'completed' ? 'concluído' : 'falhou'})`,
+    }));
+    await order.save();
+
+    if (message) {
+        await sendWhatsAppMessage(order.customerInfo.phone, message, { order: order._id, kind: 'refund' });
+    }
+    return order.refunds[order.refunds.length - 1];
+};
+
+// Reserva o pedido para um reembolso, impedindo dois reembolsos simultâneos
+const lockOrderForRefund = (orderId) => Order.findOneAndUpdate(
+    { _id: orderId, refundInProgress: { $ne: true } },
+    { $set: { refundInProgress: true } },
+    { new: true }
+);
+
+const unlockOrderForRefund = (orderId) => Order.updateOne({ _id: orderId }, { $set: { refundInProgress: false } });
+
+// Reembolsar um pedido, total ou parcialmente por itens (Admin)
+// Body: { items?: [{ productId, quantity }], reason? }. Sem 'items', reembolsa tudo o que falta.
+exports.refundOrder = async (req, res) => {
+    const orderId = req.params.id;
+    let locked = false;
+    try {
+        const existing = await Order.findById(orderId);
+        if (!existing) {
+            return res.status(404).json({ message: 'Pedido não encontrado' });
+        }
+        if (!getMethodsSupporting('refund').includes(existing.paymentMethod)) {
+            return res.status(400).json({ message: `O reembolso automático não está disponível para pedidos '${existing.paymentMethod}'.` });
+        }
+        if (!REFUNDABLE_PAYMENT_STATUSES.includes(existing.paymentStatus)) {
+            return res.status(400).json({ message: `Não é possível reembolsar um pedido com pagamento '${existing.paymentStatus}'.` });
+        }
+
+        const order = await lockOrderForRefund(orderId);
+        if (!order) {
+            return res.status(409).json({ message: 'Já existe um reembolso em andamento para este pedido.' });
+        }
+        locked = true;
+
+        const { lines, error } = resolveRefundLines(order, req.body.items);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const refund = await refundOrderPayment(order, { lines, reason: req.body.reason, adminId: req.user.id });
+        if (refund.status !== 'completed') {
+            return res.status(502).json({ message: `Falha no reembolso: ${refund.responseDescription}`, refund, order });
+        }
+
+        res.status(200).json({ message: 'Reembolso processado com sucesso.', refund, order });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao reembolsar pedido', error: error.message });
+    } finally {
+        if (locked) {
+            await unlockOrderForRefund(orderId);
+        }
+    }
+};
+
+// Atualizar status de um pedido (Admin)
+// Body: { orderStatus?, paymentStatus?, note? }. As transições são validadas pelo grafo de orderStatus.js.
+// Cancelar um pedido devolve o estoque; se estiver pago e o provedor permitir, o valor restante é reembolsado.
+// O admin só altera 'paymentStatus' em pedidos com pagamento na entrega; nos restantes, quem decide é o provedor.
+exports.updateOrderStatus = async (req, res) => {
+    const orderId = req.params.id;
+    let locked = false;
+    try {
+        const { orderStatus, paymentStatus, note } = req.body;
+        if (!orderStatus && !paymentStatus) {
+            return res.status(400).json({ message: 'Informe o novo orderStatus e/ou paymentStatus.' });
+        }
+
+        let order = await Order.findById(orderId);
+
+        if (!order) {
+            return res.status(404).json({ message: 'Pedido não encontrado' });
+        }
+
+        const orderStatusChanged = Boolean(orderStatus) && orderStatus !== order.orderStatus;
+        const paymentStatusChanged = Boolean(paymentStatus) && paymentStatus !== order.paymentStatus;
+
+        if (orderStatusChanged) {
+            assertTransition('orderStatus', order.orderStatus, orderStatus, 'admin');
+        }
+        if (paymentStatusChanged) {
+            if (order.paymentMethod !== 'Entrega') {
+                return res.status(400).json({ message: `O estado do pagamento de pedidos '${order.paymentMethod}' é atualizado pelo provedor de pagamento.` });
+            }
+            assertTransition('paymentStatus', order.paymentStatus, paymentStatus, 'admin');
+        }
+
+        if (orderStatusChanged && orderStatus === 'cancelled') {
+            const refundable = getMethodsSupporting('refund').includes(order.paymentMethod);
+            if (refundable && REFUNDABLE_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+                // Cancelar um pedido pago gera um reembolso, por isso exige também essa permissão
+                if (!hasPermission(req.user.role, 'orders:refund')) {
+                    return res.status(403).json({ message: 'Cancelar um pedido pago gera um reembolso: permissão insuficiente.', required: 'orders:refund' });
+                }
+                order = await lockOrderForRefund(orderId);
+                if (!order) {
+                    return res.status(409).json({ message: 'Já existe um reembolso em andamento para este pedido.' });
+                }
+                locked = true;
+
+                const { lines } = resolveRefundLines(order);
+                if (lines) {
+                    await refundOrderPayment(order, { lines, reason: 'Pedido cancelado', adminId: req.user.id });
+                }
+            }
+
+            // Devolve ao estoque o que não foi devolvido pelo reembolso
+            await releaseOrderStock(order, { adminId: req.user.id });
+            order = await Order.findById(orderId);
+        }
+
+        const before = { orderStatus: order.orderStatus, paymentStatus: order.paymentStatus };
+        if (orderStatusChanged) order.orderStatus = orderStatus;
+        if (paymentStatusChanged) order.paymentStatus = paymentStatus;
+        order.statusHistory.push(...buildStatusHistory(before, order, { actor: 'admin', adminId: req.user.id, note }));
+        await order.save();
+        
+        // Notifica o cliente sobre a mudança de status
+        if (orderStatusChanged) {
+            const message = `Atualização do seu pedido #${order.trackingId}: O status foi alterado para "${orderStatus}".`;
+            await sendWhatsAppMessage(order.customerInfo.phone, message, { order: order._id, kind: 'order_status' });
+        }
+        // Pagamento na entrega confirmado pelo admin
+        if (paymentStatusChanged && paymentStatus === 'paid') {
+            await sendOrderReceipt(order);
+        }
+
+        res.status(200).json(order);
+    } catch (error) {
+        if (error instanceof StatusTransitionError) {
+            return res.status(400).json({ message: error.message, allowed: error.allowed });
+        }
+        res.status(500).json({ message: 'Erro ao atualizar status do pedido', error: error.message });
+    } finally {
+        if (locked) {
+            await unlockOrderForRefund(orderId);
+        }
+    }
+};
+
+// Descarregar o recibo em PDF de um pedido pago (Admin)
+// Se o pedido ainda não tiver recibo (ex: pago antes desta funcionalidade), o número é atribuído agora.
+exports.downloadOrderReceipt = async (req, res) => {
+    try {
+        const order = mongoose.isValidObjectId(req.params.id) ? await Order.findById(req.params.id).select('paymentStatus') : null;
+        if (!order) {
+            return res.status(404).json({ message: 'Pedido não encontrado' });
+        }
+        if (!PAID_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+            return res.status(409).json({ message: 'O recibo só é emitido para pedidos pagos.' });
+        }
+
+        const receipt = await buildReceipt(order._id);
+        res.set('Content-Type', 'application/pdf');
+        res.set('Content-Disposition', `attachment; filename="${receipt.fileName}"`);
+        res.status(200).send(receipt.pdf);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao gerar o recibo', error: error.message });
+    }
+};
+
+// Obter o histórico de status de um pedido (Admin)
+// Inclui o admin responsável e as notas internas de cada mudança, e as transições possíveis a partir do estado atual.
+exports.getOrderHistory = async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.id)
+            .select('trackingId orderStatus paymentStatus statusHistory createdAt')
+            .populate('statusHistory.changedBy', 'username');
+        if (!order) {
+            return res.status(404).json({ message: 'Pedido não encontrado' });
+        }
+
+        res.status(200).json({
+            trackingId: order.trackingId,
+            orderStatus: order.orderStatus,
+            paymentStatus: order.paymentStatus,
+            allowedOrderStatus: allowedTransitions('orderStatus', order.orderStatus, 'admin'),
+            history: order.statusHistory,
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar histórico do pedido', error: error.message });
+    }
+};
+
+// =================================================================
+// == CONTROLLERS DE CLIENTES (Contas da loja) =====================
+// =================================================================
+// Login sem senha: o cliente recebe no WhatsApp um código de uso único (OTP) e troca-o por um token.
+// Os tokens dos clientes são assinados com config.customerAuth.jwtSecret e audience 'customer',
+// por isso nunca passam no authMiddleware do painel (nem o contrário).
+
+const CUSTOMER_ADDRESS_FIELDS = ['label', 'address', 'deliveryZone', 'isDefault'];
+const CUSTOMER_ORDERS_PAGE_SIZE = 20;
+
+// Gera um código numérico com o número de dígitos configurado (ex: '048213')
+const generateOtpCode = () => {
+    const { length } = config.customerAuth.otp;
+    return String(crypto.randomInt(0, 10 ** length)).padStart(length, '0');
+};
+
+const signCustomerToken = (customer) => jwt.sign(
+    { id: customer._id, phone: customer.phone },
+    config.customerAuth.jwtSecret,
+    { expiresIn: config.customerAuth.tokenTTL, audience: 'customer' }
+);
+
+// Dados da conta devolvidos ao próprio cliente
+const customerView = (customer) => ({
+    id: customer._id,
+    phone: customer.phone,
+    name: customer.name,
+    addresses: customer.addresses,
+    createdAt: customer.createdAt,
+});
+
+// Responde 429 com Retry-After até 'availableAt'
+const sendOtpThrottled = (res, availableAt, message) => {
+    const retryAfterSeconds = Math.max(1, Math.ceil((availableAt.getTime() - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ message, retryAfterSeconds });
+};
+
+// Pedir um código de login (Público)
+// Body: { phone }. O código chega ao WhatsApp do número; pedir um novo invalida o anterior.
+exports.requestCustomerOtp = async (req, res) => {
+    try {
+        const phone = normalizeCustomerPhone(req.body.phone);
+        if (!phone) {
+            return res.status(400).json({ message: 'Número de telefone inválido. Use um número M-Pesa (84 ou 85).' });
+        }
+
+        const { otp } = config.customerAuth;
+        const now = Date.now();
+        const recent = await CustomerOtp.find({ phone, createdAt: { $gte: new Date(now - 60 * 60 * 1000) } }).sort({ createdAt: -1 });
+        if (recent.length > 0 && recent[0].createdAt.getTime() + otp.resendCooldownSeconds * 1000 > now) {
+            return sendOtpThrottled(res, new Date(recent[0].createdAt.getTime() + otp.resendCooldownSeconds * 1000),
+                'Aguarde um pouco antes de pedir um novo código.');
+        }
+        if (recent.length >= otp.maxPerHour) {
+            return sendOtpThrottled(res, new Date(recent[recent.length - 1].createdAt.getTime() + 60 * 60 * 1000),
+                'Foram pedidos demasiados códigos para este número. Tente novamente mais tarde.');
+        }
+
+        if (!whatsapp.isConnected()) {
+            return res.status(503).json({ message: 'Não é possível enviar o código neste momento. Tente novamente dentro de instantes.' });
+        }
+
+        const code = generateOtpCode();
+        await CustomerOtp.updateMany({ phone, consumedAt: null }, { $set: { consumedAt: new Date() } });
+        const pending = await CustomerOtp.create({ phone, codeHash: hashToken(code), expiresAt: new Date(now + otp.ttlMinutes * 60 * 1000) });
+
+        // Enviado diretamente pelo socket e não pela fila: o código nunca fica gravado nas notificações,
+        // que a equipa pode ler e reenviar no painel
+        const message = `O seu código de acesso à loja é ${code}. É válido por ${otp.ttlMinutes} minutos. Não o partilhe com ninguém.`;
+        try {
+            await whatsapp.sendDirectMessage(phone, message);
+        } catch (error) {
+            await CustomerOtp.deleteOne({ _id: pending._id });
+            return res.status(502).json({ message: 'Falha ao enviar o código pelo WhatsApp. Tente novamente.', error: error.message });
+        }
+
+        res.status(200).json({ message: 'Enviámos um código para o seu WhatsApp.', expiresIn: otp.ttlMinutes * 60 });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao enviar o código de acesso', error: error.message });
+    }
+};
+
+// Trocar o código por um token (Público)
+// Body: { phone, code, name? }. A conta é criada no primeiro login; 'name' só é usado nesse momento.
+exports.verifyCustomerOtp = async (req, res) => {
+    try {
+        const phone = normalizeCustomerPhone(req.body.phone);
+        const code = String(req.body.code || '').trim();
+        if (!phone || !code) {
+            return res.status(400).json({ message: 'Informe o telefone e o código recebido.' });
+        }
+
+        const { otp } = config.customerAuth;
+        const pending = await CustomerOtp.findOne({
+            phone,
+            consumedAt: null,
+            expiresAt: { $gt: new Date() },
+            attempts: { $lt: otp.maxAttempts },
+        }).sort({ createdAt: -1 });
+        if (!pending) {
+            return res.status(400).json({ message: 'Código inválido ou expirado. Peça um novo código.' });
+        }
 
-        // --- LÓGICA DE PAGAMENTO ---
-        if (paymentMethod === 'Mpesa') {
-            const mpesaPhoneNumber = normalizeMpesaNumber(customerInfo.phone);
-
-            const mpesaPayload = {
-                input_TransactionReference: thirdPartyReference,
-                input_CustomerMSISDN: mpesaPhoneNumber,
-                input_Amount: totalAmount.toString(),
-                input_ThirdPartyReference: thirdPartyReference,
-                input_ServiceProviderCode: config.mpesa.serviceProviderCode,
-            };
-
-            console.log("Enviando para M-Pesa:", mpesaPayload); // Log útil para debug
-
-            const mpesaResponse = await axios.post(config.mpesa.apiURL, mpesaPayload, {
-                headers: { 
-                    'Authorization': config.mpesa.authToken, 
-                    'Content-Type': 'application/json',
-                    'Origin': '*' // Adicionado para corrigir o erro "Origin header is missing"
-                },
-                httpsAgent: mpesaAgent,
+        if (!safeEqual(hashToken(code), pending.codeHash)) {
+            const updated = await CustomerOtp.findOneAndUpdate(
+                { _id: pending._id, consumedAt: null },
+                { $inc: { attempts: 1 } },
+                { new: true }
+            );
+            const attemptsLeft = updated ? Math.max(otp.maxAttempts - updated.attempts, 0) : 0;
+            return res.status(400).json({
+                message: attemptsLeft > 0 ? 'Código incorreto.' : 'Código incorreto. Peça um novo código.',
+                attemptsLeft,
             });
+        }
+
+        const name = typeof req.body.name === 'string' && req.body.name.trim() ? req.body.name.trim() : undefined;
+        const customer = await Customer.findOneAndUpdate(
+            { phone },
+            { $set: { lastLoginAt: new Date() }, ...(name ? { $setOnInsert: { name } } : {}) },
+            { upsert: true, new: true, runValidators: true }
+        );
+        // O token é gerado antes de gastar o código: se a emissão falhar, o cliente pode tentar de novo
+        const token = signCustomerToken(customer);
+
+        // Cada código só pode ser usado uma vez, mesmo com dois pedidos simultâneos
+        const consumed = await CustomerOtp.findOneAndUpdate(
+            { _id: pending._id, consumedAt: null },
+            { $set: { consumedAt: new Date() } }
+        );
+        if (!consumed) {
+            return res.status(400).json({ message: 'Código inválido ou expirado. Peça um novo código.' });
+        }
+
+        res.status(200).json({
+            token,
+            expiresIn: config.customerAuth.tokenTTL,
+            customer: customerView(customer),
+        });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao validar o código de acesso', error: error.message });
+    }
+};
+
+// Dados da conta (Cliente)
+exports.getCustomerProfile = async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.customer.id);
+        res.status(200).json(customerView(customer));
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar a conta', error: error.message });
+    }
+};
 
-            // Atualiza o pedido com a resposta inicial do M-Pesa
-            order.mpesaDetails.conversationID = mpesaResponse.data.output_ConversationID;
-            order.mpesaDetails.responseCode = mpesaResponse.data.output_ResponseCode;
-            order.mpesaDetails.responseDescription = mpesaResponse.data.output_ResponseDesc;
-            await order.save({ session });
+// Atualizar o nome (Cliente). O telefone é a identidade da conta e não pode ser alterado.
+exports.updateCustomerProfile = async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.customer.id);
+        if (req.body.name !== undefined) customer.name = req.body.name;
+        await customer.save();
+        res.status(200).json(customerView(customer));
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao atualizar a conta', error: error.message });
+    }
+};
 
-            console.log("Pagamento M-Pesa iniciado. Resposta da API:", mpesaResponse.data);
+// Terminar todas as sessões da conta (Cliente)
+exports.logoutCustomer = async (req, res) => {
+    try {
+        await Customer.updateOne({ _id: req.customer.id }, { $set: { sessionsValidAfter: currentSecond() } });
+        res.status(200).json({ message: 'Sessão terminada em todos os dispositivos.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao terminar a sessão', error: error.message });
+    }
+};
 
-        } else {
-            // Lógica para outros métodos (simulados)
-            order.paymentStatus = paymentMethod === 'Entrega' ? 'pending' : 'paid'; // Ex: "Entrega" fica pendente
-            await order.save({ session });
+// Valida e aplica os campos de um endereço; só pode haver um endereço padrão
+const applyCustomerAddress = async (customer, address, body) => {
+    const fields = pickFields(body, CUSTOMER_ADDRESS_FIELDS);
+    if (fields.deliveryZone) {
+        const zoneExists = mongoose.isValidObjectId(fields.deliveryZone) && await DeliveryZone.exists({ _id: fields.deliveryZone, active: true });
+        if (!zoneExists) {
+            throw new CheckoutError('Zona de entrega inválida.');
         }
+    }
+    address.set(fields);
+    if (address.isDefault || customer.addresses.length === 1) {
+        customer.addresses.forEach((other) => { other.isDefault = other === address; });
+    }
+};
 
-        await session.commitTransaction();
-        
-        // Envia notificação de pedido criado
-        const message = `Olá ${customerInfo.name}, seu pedido #${order.trackingId} foi criado com sucesso! Total: ${totalAmount.toFixed(2)} MZN. Aguardando pagamento.`;
-        await sendWhatsAppMessage(sock, customerInfo.phone, message);
+// Envia o erro de gravação de um endereço: dados inválidos -> 400
+const sendAddressSaveError = (res, error, message) => {
+    if (error instanceof CheckoutError || error instanceof mongoose.Error.ValidationError) {
+        return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message, error: error.message });
+};
 
-        res.status(201).json({ 
-            message: 'Pedido criado com sucesso!', 
-            orderId: order._id,
-            trackingId: order.trackingId,
-            mpesaResponse: paymentMethod === 'Mpesa' ? mpesaResponse.data : null 
+// Endereços guardados (Cliente)
+exports.getCustomerAddresses = async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.customer.id).populate('addresses.deliveryZone', 'name fee estimatedDays');
+        res.status(200).json(customer.addresses);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar os endereços', error: error.message });
+    }
+};
+
+// Body: { label?, address, deliveryZone?, isDefault? }. O primeiro endereço fica como padrão.
+exports.addCustomerAddress = async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.customer.id);
+        if (customer.addresses.length >= config.customerAuth.maxAddresses) {
+            return res.status(400).json({ message: `Pode guardar no máximo ${config.customerAuth.maxAddresses} endereços.` });
+        }
+        customer.addresses.push({});
+        const address = customer.addresses[customer.addresses.length - 1];
+        await applyCustomerAddress(customer, address, req.body);
+        await customer.save();
+        res.status(201).json(address);
+    } catch (error) {
+        sendAddressSaveError(res, error, 'Erro ao guardar o endereço');
+    }
+};
+
+exports.updateCustomerAddress = async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.customer.id);
+        const address = customer.findAddress(req.params.addressId);
+        if (!address) {
+            return res.status(404).json({ message: 'Endereço não encontrado.' });
+        }
+        await applyCustomerAddress(customer, address, req.body);
+        await customer.save();
+        res.status(200).json(address);
+    } catch (error) {
+        sendAddressSaveError(res, error, 'Erro ao atualizar o endereço');
+    }
+};
+
+exports.deleteCustomerAddress = async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.customer.id);
+        const address = customer.findAddress(req.params.addressId);
+        if (!address) {
+            return res.status(404).json({ message: 'Endereço não encontrado.' });
+        }
+        customer.addresses.pull(address._id);
+        // Sem padrão, o primeiro endereço restante passa a sê-lo
+        if (customer.addresses.length > 0 && !customer.addresses.some((other) => other.isDefault)) {
+            customer.addresses[0].isDefault = true;
+        }
+        await customer.save();
+        res.status(200).json({ message: 'Endereço removido.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao remover o endereço', error: error.message });
+    }
+};
+
+// Histórico de pedidos (Cliente)
+// Inclui os pedidos feitos com login e os feitos sem login com o mesmo número (customerPhone). ?page=
+exports.getCustomerOrders = async (req, res) => {
+    try {
+        const filter = { $or: [{ customer: req.customer.id }, { customerPhone: req.customer.phone }] };
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const [orders, total] = await Promise.all([
+            Order.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * CUSTOMER_ORDERS_PAGE_SIZE)
+                .limit(CUSTOMER_ORDERS_PAGE_SIZE)
+                .populate('products.product', 'name images'),
+            Order.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            orders: orders.map(customerOrderView),
+            pagination: { page, limit: CUSTOMER_ORDERS_PAGE_SIZE, total, totalPages: Math.ceil(total / CUSTOMER_ORDERS_PAGE_SIZE) },
         });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar os pedidos', error: error.message });
+    }
+};
+
+
+// =================================================================
+// == CONTROLLERS DE CUPONS (Admin) ================================
+// =================================================================
+
+// Campos de um cupom que o admin pode definir
+const COUPON_FIELDS = [
+    'code', 'description', 'discountType', 'value', 'maxDiscount', 'minOrderAmount',
+    'startsAt', 'expiresAt', 'usageLimit', 'usageLimitPerPhone', 'productTypes', 'active',
+];
+
+// Copia do body apenas os campos permitidos
+const pickFields = (body, fields) => Object.fromEntries(
+    fields.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+);
 
+// Erros de gravação de cupons: validação -> 400, código repetido -> 409
+const sendCouponSaveError = (res, error, message) => {
+    if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+        return res.status(400).json({ message: 'Dados do cupom inválidos', error: error.message });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'Já existe um cupom com este código.' });
+    }
+    return res.status(500).json({ message, error: error.message });
+};
+
+// Listar cupons (Admin). ?active=true|false
+exports.getCoupons = async (req, res) => {
+    try {
+        const filter = {};
+        if (req.query.active === 'true' || req.query.active === 'false') {
+            filter.active = req.query.active === 'true';
+        }
+        const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+        res.status(200).json(coupons);
     } catch (error) {
-        await session.abortTransaction();
-        
-        // Log de erro aprimorado para debugging
-        console.error("====== ERRO AO CRIAR PEDIDO ======");
-        // Se o erro for do Axios (comunicação com M-Pesa), o erro real estará em `error.response.data`
-        if (error.response) {
-            console.error("Status do Erro:", error.response.status);
-            console.error("Resposta da API externa (M-Pesa):", error.response.data);
-            // Retorna uma mensagem de erro mais específica para o frontend
-            const apiErrorMessage = error.response.data?.output_ResponseDesc || error.response.data?.output_error || 'Erro de comunicação com o serviço de pagamento.';
-            return res.status(500).json({ message: `Falha na transação M-Pesa: ${apiErrorMessage}`, error: error.response.data });
+        res.status(500).json({ message: 'Erro ao buscar cupons', error: error.message });
+    }
+};
+
+// Criar um cupom (Admin)
+exports.createCoupon = async (req, res) => {
+    try {
+        const coupon = new Coupon({ ...pickFields(req.body, COUPON_FIELDS), createdBy: req.user.id });
+        await coupon.save();
+        res.status(201).json(coupon);
+    } catch (error) {
+        sendCouponSaveError(res, error, 'Erro ao criar cupom');
+    }
+};
+
+// Atualizar um cupom (Admin)
+// O contador de utilizações não é editável; os pedidos já feitos mantêm as regras do momento da compra.
+exports.updateCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ message: 'Cupom não encontrado.' });
         }
-        
-        // Para outros tipos de erro (ex: estoque, telefone inválido)
-        console.error("Erro geral:", error.message);
-        console.error(error.stack);
-        res.status(500).json({ message: 'Erro ao criar o pedido', error: error.message });
+        coupon.set(pickFields(req.body, COUPON_FIELDS));
+        await coupon.save();
+        res.status(200).json(coupon);
+    } catch (error) {
+        sendCouponSaveError(res, error, 'Erro ao atualizar cupom');
+    }
+};
 
-    } finally {
-        session.endSession();
+// Apagar um cupom (Admin)
+// Cupons já usados são apenas desativados, para que os relatórios continuem a encontrá-los.
+exports.deleteCoupon = async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+        if (!coupon) {
+            return res.status(404).json({ message: 'Cupom não encontrado.' });
+        }
+        const used = await Order.exists({ 'coupon.code': coupon.code });
+        if (used) {
+            coupon.active = false;
+            await coupon.save();
+            return res.status(200).json({ message: 'Cupom já utilizado em pedidos: foi desativado em vez de apagado.', coupon });
+        }
+        await coupon.deleteOne();
+        res.status(200).json({ message: 'Cupom apagado com sucesso.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao apagar cupom', error: error.message });
     }
 };
 
-// Callback do M-Pesa para confirmar o pagamento
-// Esta rota não será chamada pelo nosso frontend, mas sim pelo servidor do M-Pesa.
-exports.mpesaCallback = (sock) => async (req, res) => {
+
+// =================================================================
+// == CONTROLLERS DE ZONAS DE ENTREGA (Público e Admin) ============
+// =================================================================
+
+const DELIVERY_ZONE_FIELDS = ['name', 'description', 'fee', 'freeDeliveryThreshold', 'estimatedDays', 'active', 'sortOrder'];
+
+const sendDeliveryZoneSaveError = (res, error, message) => {
+    if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+        return res.status(400).json({ message: 'Dados da zona inválidos', error: error.message });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({ message: 'Já existe uma zona com este nome.' });
+    }
+    return res.status(500).json({ message, error: error.message });
+};
+
+// Listar as zonas de entrega ativas (Público)
+exports.getDeliveryZones = async (req, res) => {
     try {
-        console.log('Callback M-Pesa recebido:', req.body);
-        const {
-            input_ThirdPartyReference: thirdPartyReference,
-            input_ResultCode: resultCode,
-            input_ResultDesc: resultDesc,
-        } = req.body;
+        const zones = await DeliveryZone.find({ active: true })
+            .select('name description fee freeDeliveryThreshold estimatedDays')
+            .sort({ sortOrder: 1, name: 1 });
+        res.status(200).json(zones);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar zonas de entrega', error: error.message });
+    }
+};
 
-        if (!thirdPartyReference) {
-            return res.status(400).json({ message: 'ThirdPartyReference não encontrado no callback.' });
+// Cotar um carrinho para uma zona (Público)
+// Body: { deliveryZoneId, products: [{ productId, variantId, quantity }], couponCode?, phone? }. Não reserva nada.
+exports.quoteDelivery = async (req, res) => {
+    try {
+        const { deliveryZoneId, products, couponCode, phone } = req.body;
+        if (!Array.isArray(products) || products.length === 0) {
+            return res.status(400).json({ message: 'Informe os produtos do carrinho.' });
         }
 
-        const order = await Order.findOne({ 'mpesaDetails.thirdPartyReference': thirdPartyReference });
-        if (!order) {
-            console.error(`Pedido com referência ${thirdPartyReference} não encontrado.`);
-            return res.status(404).send(); // Apenas responde, não envia JSON
+        const quote = await priceOrder({ products, couponCode, phone, deliveryZoneId });
+        const { zone } = quote;
+        const goodsAmount = roundMoney(quote.subtotal - quote.discountAmount);
+
+        res.status(200).json({
+            zone: { id: zone._id, name: zone.name, estimatedDays: zone.estimatedDays },
+            subtotal: quote.subtotal,
+            discountAmount: quote.discountAmount,
+            shippingFee: quote.shippingFee,
+            totalAmount: quote.totalAmount,
+            // Quanto falta em produtos para a entrega ficar grátis (null se a zona não tiver entrega grátis)
+            freeDeliveryRemaining: zone.freeDeliveryThreshold
+                ? roundMoney(Math.max(zone.freeDeliveryThreshold - goodsAmount, 0))
+                : null,
+        });
+    } catch (error) {
+        if (error instanceof CouponError || error instanceof CheckoutError) {
+            return res.status(400).json({ message: error.message });
+        }
+        res.status(500).json({ message: 'Erro ao cotar a entrega', error: error.message });
+    }
+};
+
+// Listar todas as zonas, incluindo as inativas (Admin)
+exports.getAllDeliveryZones = async (req, res) => {
+    try {
+        const zones = await DeliveryZone.find().sort({ sortOrder: 1, name: 1 });
+        res.status(200).json(zones);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar zonas de entrega', error: error.message });
+    }
+};
+
+// Criar uma zona de entrega (Admin)
+exports.createDeliveryZone = async (req, res) => {
+    try {
+        const zone = new DeliveryZone(pickFields(req.body, DELIVERY_ZONE_FIELDS));
+        await zone.save();
+        res.status(201).json(zone);
+    } catch (error) {
+        sendDeliveryZoneSaveError(res, error, 'Erro ao criar zona de entrega');
+    }
+};
+
+// Atualizar uma zona de entrega (Admin)
+// Os pedidos já feitos guardam a taxa e o prazo do momento da compra.
+exports.updateDeliveryZone = async (req, res) => {
+    try {
+        const zone = await DeliveryZone.findById(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ message: 'Zona de entrega não encontrada.' });
+        }
+        zone.set(pickFields(req.body, DELIVERY_ZONE_FIELDS));
+        await zone.save();
+        res.status(200).json(zone);
+    } catch (error) {
+        sendDeliveryZoneSaveError(res, error, 'Erro ao atualizar zona de entrega');
+    }
+};
+
+// Apagar uma zona de entrega (Admin)
+// Zonas com pedidos são apenas desativadas.
+exports.deleteDeliveryZone = async (req, res) => {
+    try {
+        const zone = await DeliveryZone.findById(req.params.id);
+        if (!zone) {
+            return res.status(404).json({ message: 'Zona de entrega não encontrada.' });
         }
+        if (await Order.exists({ 'delivery.zone': zone._id })) {
+            zone.active = false;
+            await zone.save();
+            return res.status(200).json({ message: 'Zona com pedidos: foi desativada em vez de apagada.', zone });
+        }
+        await zone.deleteOne();
+        res.status(200).json({ message: 'Zona de entrega apagada com sucesso.' });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao apagar zona de entrega', error: error.message });
+    }
+};
 
-        order.mpesaDetails.responseCode = resultCode;
-        order.mpesaDetails.responseDescription = resultDesc;
 
-        let message = '';
-        if (resultCode === 'INS-0') {
-            order.paymentStatus = 'paid';
-            order.orderStatus = 'processing';
-            message = `Pagamento do seu pedido #${order.trackingId} foi confirmado! Já estamos a preparar a sua encomenda.`;
-        } else {
-            order.paymentStatus = 'failed';
-            order.orderStatus = 'cancelled';
-            message = `O pagamento do seu pedido #${order.trackingId} falhou. Motivo: ${resultDesc}. Por favor, tente novamente ou contacte o suporte.`;
-            
-            // Reverte o estoque se o pagamento falhar
-            for (const item of order.products) {
-                await Product.updateOne({ _id: item.product }, { $inc: { stock: item.quantity } });
-            }
+// =================================================================
+// == CONTROLLERS DE RELATÓRIOS (Admin) ============================
+// =================================================================
+// Todos os relatórios são agregações no MongoDB, filtradas por ?from=&to= (data de criação do pedido).
+
+// Estados de pagamento de pedidos que chegaram a ser pagos (os reembolsos são descontados da receita)
+const PAID_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded', 'refund_failed'];
+
+// Receita líquida de um pedido: valor cobrado menos o que já foi reembolsado
+const netRevenueExpression = { $subtract: ['$totalAmount', { $ifNull: ['$refundedAmount', 0] }] };
+
+// Lê ?from e ?to (ISO 8601). Uma data sem hora em 'to' inclui o dia inteiro.
+// Sem datas, usa os últimos config.reports.defaultRangeDays dias.
+const parseReportRange = (query) => {
+    const to = query.to ? new Date(query.to) : new Date();
+    if (query.to && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) {
+        to.setUTCDate(to.getUTCDate() + 1);
+    }
+    const from = query.from
+        ? new Date(query.from)
+        : new Date(to.getTime() - config.reports.defaultRangeDays * 24 * 60 * 60 * 1000);
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return { error: 'Datas inválidas. Use o formato AAAA-MM-DD em ?from e ?to.' };
+    }
+    if (from >= to) {
+        return { error: 'A data inicial deve ser anterior à final.' };
+    }
+    return { from, to, match: { createdAt: { $gte: from, $lt: to } } };
+};
+
+const REPORT_INTERVALS = ['day', 'week', 'month'];
+
+// Receita e número de pedidos por dia/semana/mês (Admin)
+// ?interval=day|week|month (padrão: day). As semanas começam à segunda-feira.
+exports.getSalesReport = async (req, res) => {
+    try {
+        const range = parseReportRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+        const interval = req.query.interval || 'day';
+        if (!REPORT_INTERVALS.includes(interval)) {
+            return res.status(400).json({ message: `Intervalo inválido. Valores aceitos: ${REPORT_INTERVALS.join(', ')}.` });
         }
-        
-        await order.save();
-        
-        // Envia notificação de status de pagamento
-        await sendWhatsAppMessage(sock, order.customerInfo.phone, message);
 
-        // Responde ao servidor M-Pesa para confirmar o recebimento do callback
-        res.status(200).json({ message: 'Callback processado.' });
+        const isPaid = { $in: ['$paymentStatus', PAID_PAYMENT_STATUSES] };
+        const [periods, [totals]] = await Promise.all([
+            Order.aggregate([
+                { $match: range.match },
+                {
+                    $group: {
+                        _id: { $dateTrunc: { date: '$createdAt', unit: interval, timezone: config.reports.timezone, startOfWeek: 'monday' } },
+                        orders: { $sum: 1 },
+                        paidOrders: { $sum: { $cond: [isPaid, 1, 0] } },
+                        revenue: { $sum: { $cond: [isPaid, netRevenueExpression, 0] } },
+                        discounts: { $sum: { $cond: [isPaid, { $ifNull: ['$discountAmount', 0] }, 0] } },
+                    },
+                },
+                { $sort: { _id: 1 } },
+                { $project: { _id: 0, period: '$_id', orders: 1, paidOrders: 1, revenue: { $round: ['$revenue', 2] }, discounts: { $round: ['$discounts', 2] } } },
+            ]),
+            Order.aggregate([
+                { $match: { ...range.match, paymentStatus: { $in: PAID_PAYMENT_STATUSES } } },
+                {
+                    $group: {
+                        _id: null,
+                        paidOrders: { $sum: 1 },
+                        revenue: { $sum: netRevenueExpression },
+                        averageOrderValue: { $avg: '$totalAmount' },
+                    },
+                },
+                { $project: { _id: 0, paidOrders: 1, revenue: { $round: ['$revenue', 2] }, averageOrderValue: { $round: ['$averageOrderValue', 2] } } },
+            ]),
+        ]);
 
+        res.status(200).json({
+            from: range.from,
+            to: range.to,
+            interval,
+            totals: totals || { paidOrders: 0, revenue: 0, averageOrderValue: 0 },
+            periods,
+        });
     } catch (error) {
-        console.error('Erro no callback do M-Pesa:', error);
-        res.status(500).send(); // Apenas responde, não envia JSON
+        res.status(500).json({ message: 'Erro ao gerar relatório de vendas', error: error.message });
     }
 };
 
-// Obter todos os pedidos (Admin)
-exports.getAllOrders = async (req, res) => {
+// Pedidos e receita por método e por estado de pagamento (Admin)
+exports.getPaymentBreakdown = async (req, res) => {
     try {
-        const orders = await Order.find().populate('products.product').sort({ createdAt: -1 });
-        res.status(200).json(orders);
+        const range = parseReportRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+
+        const groupBy = (field) => [
+            {
+                $group: {
+                    _id: `$${field}`,
+                    orders: { $sum: 1 },
+                    amount: { $sum: '$totalAmount' },
+                    refunded: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+                },
+            },
+            { $sort: { orders: -1 } },
+            { $project: { _id: 0, [field]: '$_id', orders: 1, amount: { $round: ['$amount', 2] }, refunded: { $round: ['$refunded', 2] } } },
+        ];
+
+        const [breakdown] = await Order.aggregate([
+            { $match: range.match },
+            { $facet: { byPaymentMethod: groupBy('paymentMethod'), byPaymentStatus: groupBy('paymentStatus') } },
+        ]);
+
+        res.status(200).json({ from: range.from, to: range.to, ...breakdown });
     } catch (error) {
-        res.status(500).json({ message: 'Erro ao buscar pedidos', error: error.message });
+        res.status(500).json({ message: 'Erro ao gerar relatório de pagamentos', error: error.message });
     }
 };
 
-// Atualizar status de um pedido (Admin)
-exports.updateOrderStatus = (sock) => async (req, res) => {
+// Produtos e tipos mais vendidos (Admin)
+// Conta apenas pedidos pagos e desconta as unidades reembolsadas. ?limit=10
+exports.getTopProducts = async (req, res) => {
     try {
-        const { orderStatus } = req.body;
-        const order = await Order.findById(req.params.id);
+        const range = parseReportRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
+        }
+        const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
 
-        if (!order) {
-            return res.status(404).json({ message: 'Pedido não encontrado' });
+        const [result] = await Order.aggregate([
+            { $match: { ...range.match, paymentStatus: { $in: PAID_PAYMENT_STATUSES } } },
+            { $unwind: '$products' },
+            {
+                $project: {
+                    product: '$products.product',
+                    variant: '$products.variant',
+                    size: '$products.size',
+                    units: { $subtract: ['$products.quantity', { $ifNull: ['$products.refundedQuantity', 0] }] },
+                    price: '$products.price',
+                },
+            },
+            { $match: { units: { $gt: 0 } } },
+            { $lookup: { from: Product.collection.name, localField: 'product', foreignField: '_id', as: 'productDoc' } },
+            { $set: { productDoc: { $first: '$productDoc' } } },
+            {
+                $facet: {
+                    products: [
+                        {
+                            $group: {
+                                _id: { product: '$product', variant: '$variant' },
+                                name: { $first: '$productDoc.name' },
+                                type: { $first: '$productDoc.type' },
+                                size: { $first: '$size' },
+                                units: { $sum: '$units' },
+                                revenue: { $sum: { $multiply: ['$units', '$price'] } },
+                            },
+                        },
+                        { $sort: { units: -1, revenue: -1 } },
+                        { $limit: limit },
+                        {
+                            $project: {
+                                _id: 0,
+                                productId: '$_id.product',
+                                variantId: '$_id.variant',
+                                name: { $ifNull: ['$name', 'Produto removido'] },
+                                type: 1,
+                                size: 1,
+                                units: 1,
+                                revenue: { $round: ['$revenue', 2] },
+                            },
+                        },
+                    ],
+                    types: [
+                        {
+                            $group: {
+                                _id: { $ifNull: ['$productDoc.type', 'Desconhecido'] },
+                                units: { $sum: '$units' },
+                                revenue: { $sum: { $multiply: ['$units', '$price'] } },
+                            },
+                        },
+                        { $sort: { units: -1 } },
+                        { $project: { _id: 0, type: '$_id', units: 1, revenue: { $round: ['$revenue', 2] } } },
+                    ],
+                },
+            },
+        ]);
+
+        res.status(200).json({ from: range.from, to: range.to, ...result });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao gerar relatório de produtos', error: error.message });
+    }
+};
+
+// Taxa de conversão dos pagamentos M-Pesa (Admin)
+// Dos pedidos M-Pesa criados no período: quantos foram pagos, quantos falharam e quantos continuam pendentes.
+// conversionRate = pagos / (pagos + falhados), ou seja, só pedidos cujo pagamento já teve resultado.
+exports.getMpesaConversion = async (req, res) => {
+    try {
+        const range = parseReportRange(req.query);
+        if (range.error) {
+            return res.status(400).json({ message: range.error });
         }
 
-        order.orderStatus = orderStatus;
-        await order.save();
-        
-        // Notifica o cliente sobre a mudança de status
-        const message = `Atualização do seu pedido #${order.trackingId}: O status foi alterado para "${orderStatus}".`;
-        await sendWhatsAppMessage(sock, order.customerInfo.phone, message);
+        const [stats] = await Order.aggregate([
+            { $match: { ...range.match, paymentMethod: 'Mpesa' } },
+            {
+                $group: {
+                    _id: null,
+                    total: { $sum: 1 },
+                    paid: { $sum: { $cond: [{ $in: ['$paymentStatus', PAID_PAYMENT_STATUSES] }, 1, 0] } },
+                    failed: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'failed'] }, 1, 0] } },
+                    pending: { $sum: { $cond: [{ $eq: ['$paymentStatus', 'pending'] }, 1, 0] } },
+                },
+            },
+            {
+                $project: {
+                    _id: 0,
+                    total: 1,
+                    paid: 1,
+                    failed: 1,
+                    pending: 1,
+                    conversionRate: {
+                        $cond: [
+                            { $gt: [{ $add: ['$paid', '$failed'] }, 0] },
+                            { $round: [{ $divide: ['$paid', { $add: ['$paid', '$failed'] }] }, 4] },
+                            null,
+                        ],
+                    },
+                },
+            },
+        ]);
 
-        res.status(200).json(order);
+        res.status(200).json({
+            from: range.from,
+            to: range.to,
+            ...(stats || { total: 0, paid: 0, failed: 0, pending: 0, conversionRate: null }),
+        });
     } catch (error) {
-        res.status(500).json({ message: 'Erro ao atualizar status do pedido', error: error.message });
+        res.status(500).json({ message: 'Erro ao gerar relatório de conversão M-Pesa', error: error.message });
+    }
+};
+
+
+// =================================================================
+// == CONTROLLERS DE NOTIFICAÇÕES (Admin) ==========================
+// =================================================================
+
+// Listar notificações WhatsApp da fila (Admin)
+// Por padrão lista as que ainda não foram entregues: ?status=pending,failed (aceita também 'sending' e 'sent')
+exports.getNotifications = async (req, res) => {
+    try {
+        const statuses = (req.query.status || 'pending,failed').split(',');
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+        const notifications = await Notification.find({ status: { $in: statuses } })
+            .select('-document.data') // O conteúdo dos anexos (ex: recibos em PDF) não é listado
+            .populate('order', 'trackingId')
+            .sort({ createdAt: -1 })
+            .limit(limit);
+        res.status(200).json(notifications);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao buscar notificações', error: error.message });
+    }
+};
+
+// Reenviar uma notificação (Admin)
+// A mensagem volta para a fila com as tentativas zeradas; o worker a envia no próximo ciclo.
+exports.resendNotification = async (req, res) => {
+    try {
+        const notification = await requeueNotification(req.params.id);
+        if (!notification) {
+            return res.status(404).json({ message: 'Notificação não encontrada ou em envio neste momento.' });
+        }
+        res.status(200).json(notification);
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao reenviar notificação', error: error.message });
+    }
+};
+
+// =================================================================
+// == CONTROLLERS DO WHATSAPP (Admin) ==============================
+// =================================================================
+
+// Resumo do estado da sessão, sem o QR Code (que tem a sua própria rota)
+const whatsAppStatusView = () => {
+    const { qr, ...state } = whatsapp.getConnectionState();
+    return { ...state, hasQr: Boolean(qr) };
+};
+
+// Estado da conexão WhatsApp, conta ligada, última desconexão e histórico de eventos (Admin)
+exports.getWhatsAppStatus = async (req, res) => {
+    res.status(200).json(whatsAppStatusView());
+};
+
+// QR Code de emparelhamento (Admin)
+// ?format=png devolve a imagem; por padrão devolve um data URL para usar diretamente num <img>
+exports.getWhatsAppQR = async (req, res) => {
+    try {
+        const { qr, qrGeneratedAt, status } = whatsapp.getConnectionState();
+        if (!qr) {
+            return res.status(404).json({ message: `Nenhum QR Code disponível. Estado atual: ${status}.`, status });
+        }
+
+        if (req.query.format === 'png') {
+            const image = await QRCode.toBuffer(qr, { type: 'png', width: 320 });
+            res.set('Cache-Control', 'no-store');
+            return res.type('png').send(image);
+        }
+
+        const dataURL = await QRCode.toDataURL(qr, { width: 320 });
+        res.set('Cache-Control', 'no-store');
+        res.status(200).json({ status, qrGeneratedAt, dataURL });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao gerar o QR Code', error: error.message });
+    }
+};
+
+// Terminar a sessão e emparelhar de novo sem reiniciar o servidor (Admin)
+// Apaga as credenciais guardadas; o novo QR Code fica disponível em GET /admin/whatsapp/qr
+exports.logoutWhatsApp = async (req, res) => {
+    try {
+        await whatsapp.logout({ requestedBy: req.user.id });
+        res.status(200).json({ message: 'Sessão do WhatsApp terminada. Escaneie o novo QR Code para emparelhar.', ...whatsAppStatusView() });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao terminar a sessão do WhatsApp', error: error.message });
+    }
+};
+
+// Forçar uma nova conexão com a sessão atual (Admin)
+exports.reconnectWhatsApp = async (req, res) => {
+    try {
+        await whatsapp.reconnect({ requestedBy: req.user.id });
+        res.status(200).json({ message: 'Reconexão iniciada.', ...whatsAppStatusView() });
+    } catch (error) {
+        res.status(500).json({ message: 'Erro ao reconectar o WhatsApp', error: error.message });
+    }
+};
+
+// Enviar uma mensagem de teste (Admin)
+// Envia diretamente pelo socket, sem passar pela fila, para que o resultado seja imediato
+exports.sendWhatsAppTestMessage = async (req, res) => {
+    const { phone, message } = req.body;
+    if (!phone) {
+        return res.status(400).json({ message: 'Informe o número de telefone (phone).' });
+    }
+
+    if (!whatsapp.isConnected()) {
+        return res.status(409).json({ message: 'WhatsApp não está conectado.', ...whatsAppStatusView() });
+    }
+
+    try {
+        await whatsapp.sendDirectMessage(phone, message || 'Mensagem de teste da Loja de Perfumes. A ligação ao WhatsApp está a funcionar.');
+        res.status(200).json({ message: `Mensagem de teste enviada para ${phone}.` });
+    } catch (error) {
+        res.status(502).json({ message: 'Falha ao enviar a mensagem de teste', error: error.message });
     }
 };
\ No newline at end of file
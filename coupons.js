@@ -0,0 +1,67 @@
+// coupons.js
+
+// --- Cupons de desconto ---
+// Regras de validação e cálculo do desconto. As consultas ao banco (limites de uso) ficam nos controllers;
+// aqui só entra o que não depende de I/O.
+
+// Erro de validação do cupom; a mensagem é mostrada ao cliente no checkout
+class CouponError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CouponError';
+  }
+}
+
+// Arredonda para centavos (os valores em MZN têm duas casas decimais)
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Chave usada para contar utilizações por cliente: o número nacional (últimos 9 dígitos)
+const couponPhoneKey = (phone) => (phone || '').replace(/\D/g, '').slice(-9);
+
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+// Valida o cupom contra o carrinho e calcula o desconto
+// 'lines' = [{ type, price, quantity }]; 'subtotal' = soma de todas as linhas.
+// Lança CouponError quando o cupom não se aplica. O limite de uso por cliente é verificado pelo chamador.
+const calculateCouponDiscount = (coupon, { lines, subtotal, now = new Date() }) => {
+  if (!coupon || !coupon.active) {
+    throw new CouponError('Cupom inválido.');
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw new CouponError('Este cupom ainda não está válido.');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw new CouponError('Este cupom expirou.');
+  }
+  if (coupon.usageLimit !== undefined && coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    throw new CouponError('Este cupom já atingiu o limite de utilizações.');
+  }
+  if (coupon.minOrderAmount && subtotal < coupon.minOrderAmount) {
+    throw new CouponError(`Este cupom exige um pedido mínimo de ${coupon.minOrderAmount.toFixed(2)} MZN.`);
+  }
+
+  // Com restrição de tipo, o desconto só incide sobre os produtos desses tipos
+  const restricted = coupon.productTypes && coupon.productTypes.length > 0;
+  const eligibleAmount = lines
+    .filter((line) => !restricted || coupon.productTypes.includes(line.type))
+    .reduce((sum, line) => sum + line.price * line.quantity, 0);
+  if (eligibleAmount <= 0) {
+    throw new CouponError(`Este cupom só é válido para perfumes ${coupon.productTypes.join('/')}.`);
+  }
+
+  let discount = coupon.discountType === 'percentage'
+    ? eligibleAmount * (coupon.value / 100)
+    : coupon.value;
+  if (coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  return roundMoney(Math.min(discount, eligibleAmount));
+};
+
+module.exports = {
+  CouponError,
+  roundMoney,
+  couponPhoneKey,
+  normalizeCouponCode,
+  calculateCouponDiscount,
+};
\ No newline at end of file
@@ -0,0 +1,124 @@
+// inventory.js
+
+const { Product, StockMovement } = require('./models');
+const { sendWhatsAppMessage } = require('./notifications');
+const { notifyBackInStock } = require('./subscriptions');
+const config = require('./config');
+
+// --- Histórico de movimentos de estoque e alertas de estoque baixo ---
+// Toda alteração do estoque de uma variante fica registada na coleção 'stockmovements'
+// (motivo, pedido, admin, quantidade e estoque resultante), para explicar qualquer diferença nas contagens.
+// Quando uma saída faz o estoque de uma variante chegar ao limite do produto, a equipa recebe um alerta no WhatsApp;
+// quando uma entrada tira uma variante de zero, os clientes que pediram alerta são avisados (ver subscriptions.js).
+
+// Limite de estoque baixo de um produto
+const lowStockThreshold = (product) => (
+  product.lowStockThreshold !== undefined && product.lowStockThreshold !== null
+    ? product.lowStockThreshold
+    : config.inventory.defaultLowStockThreshold
+);
+
+// Grava os movimentos (usa a sessão da transação, se houver) e devolve os documentos criados
+// Cada entrada: { product, variant, sku, size, delta, stockAfter, reason, order?, admin?, note? }
+const recordStockMovements = async (entries, { session } = {}) => {
+  const movements = entries.filter((entry) => entry.delta !== 0);
+  if (movements.length === 0) return [];
+  return StockMovement.insertMany(movements, { session });
+};
+
+// Envia um alerta à equipa por cada variante cujo estoque acabou de passar para o limite (ou abaixo).
+// Só as saídas que cruzam o limite geram alerta, para não repetir a mensagem a cada venda seguinte.
+// Nunca lança erro: o alerta não deve derrubar a operação que mexeu no estoque.
+const notifyLowStock = async (movements) => {
+  try {
+    const { alertNumbers } = config.inventory;
+    const exits = movements.filter((movement) => movement.delta < 0);
+    if (alertNumbers.length === 0 || exits.length === 0) return;
+
+    const products = await Product.find({ _id: { $in: exits.map((movement) => movement.product) } }, 'name lowStockThreshold');
+    const productsById = new Map(products.map((product) => [String(product._id), product]));
+
+    for (const movement of exits) {
+      const product = productsById.get(String(movement.product));
+      if (!product) continue;
+      const threshold = lowStockThreshold(product);
+      const stockBefore = movement.stockAfter - movement.delta;
+      if (movement.stockAfter > threshold || stockBefore <= threshold) continue;
+
+      const level = movement.stockAfter <= 0 ? 'ESGOTADO' : `restam ${movement.stockAfter} unidade(s)`;
+      const message = `Estoque baixo: ${product.name} (${movement.size}, SKU ${movement.sku}) — ${level}. Limite de alerta: ${threshold}.`;
+      for (const phone of alertNumbers) {
+        await sendWhatsAppMessage(phone, message, { order: movement.order, kind: 'low_stock' });
+      }
+    }
+  } catch (error) {
+    console.error('Erro ao verificar alertas de estoque baixo:', error);
+  }
+};
+
+// Soma 'delta' (pode ser negativo) ao estoque de uma variante e ao total do produto, e regista o movimento.
+// Com 'requireStock', uma saída só é aplicada se houver estoque suficiente (devolve null caso contrário).
+// 'entry' = { reason, order?, admin?, note? }
+const changeVariantStock = async (productId, variantId, delta, entry, { requireStock = false } = {}) => {
+  const variantFilter = requireStock && delta < 0
+    ? { variants: { $elemMatch: { _id: variantId, stock: { $gte: -delta } } } }
+    : { 'variants._id': variantId };
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, ...variantFilter },
+    { $inc: { 'variants.$.stock': delta, stock: delta } },
+    { new: true }
+  );
+  if (!product) return null;
+
+  const variant = product.findVariant(variantId);
+  const [movement] = await recordStockMovements([{
+    product: product._id,
+    variant: variant._id,
+    sku: variant.sku,
+    size: variant.size,
+    delta,
+    stockAfter: variant.stock,
+    ...entry,
+  }]);
+  if (movement) {
+    await notifyLowStock([movement]);
+    await notifyBackInStock([movement]);
+  }
+  return movement || null;
+};
+
+// Estoque de cada variante de um produto, para comparar antes e depois de uma gravação
+const snapshotVariantStock = (product) => new Map(
+  (product.variants || []).map((variant) => [String(variant._id), variant.stock])
+);
+
+// Regista as diferenças de estoque de um produto gravado diretamente (edição no painel, importação CSV).
+// 'before' vem de snapshotVariantStock antes das alterações; variantes novas contam como estoque inicial.
+const recordProductStockChanges = async (product, before, entry) => {
+  const entries = product.variants.map((variant) => {
+    const isNew = !before.has(String(variant._id));
+    return {
+      product: product._id,
+      variant: variant._id,
+      sku: variant.sku,
+      size: variant.size,
+      delta: variant.stock - (isNew ? 0 : before.get(String(variant._id))),
+      stockAfter: variant.stock,
+      ...entry,
+      reason: isNew ? 'initial' : entry.reason,
+    };
+  });
+  const movements = await recordStockMovements(entries);
+  await notifyLowStock(movements);
+  await notifyBackInStock(movements);
+  return movements;
+};
+
+module.exports = {
+  lowStockThreshold,
+  recordStockMovements,
+  notifyLowStock,
+  changeVariantStock,
+  snapshotVariantStock,
+  recordProductStockChanges,
+};
\ No newline at end of file
@@ -0,0 +1,150 @@
+// migrations.js
+
+const mongoose = require('mongoose');
+const { Order, AdminUser, Product } = require('./models');
+const { cloudinaryStorage } = require('./storage');
+const { normalizeMpesaNumber } = require('./payments');
+const config = require('./config');
+
+// --- Migrações de dados executadas na inicialização do servidor ---
+// Cada migração precisa ser idempotente: roda a cada arranque e só altera documentos ainda não migrados.
+
+// Pedidos antigos guardavam os dados da transação em 'mpesaDetails'; agora ficam em 'paymentDetails'.
+// Usa a coleção nativa porque 'mpesaDetails' já não faz parte do schema.
+const migrateMpesaDetails = async () => {
+  const result = await Order.collection.updateMany(
+    { mpesaDetails: { $exists: true }, paymentDetails: { $exists: false } },
+    [
+      { $set: { paymentDetails: { $mergeObjects: ['$mpesaDetails', { provider: 'M-Pesa' }] } } },
+      { $unset: 'mpesaDetails' },
+    ]
+  );
+  return result.modifiedCount;
+};
+
+// Antes dos papéis existirem todos os administradores tinham acesso total ('admin'); passam a 'owner'.
+const migrateAdminRoles = async () => {
+  const result = await AdminUser.collection.updateMany(
+    { $or: [{ role: 'admin' }, { role: { $exists: false } }] },
+    { $set: { role: 'owner', active: true } }
+  );
+  return result.modifiedCount;
+};
+
+// Imagens enviadas antes do storage.js não têm as versões reduzidas; no Cloudinary basta gerar as URLs.
+// Usa a coleção nativa para não depender das validações atuais do schema (ex: variantes).
+const migrateImageVariants = async () => {
+  const { thumbnail, medium } = config.storage.sizes;
+  let modified = 0;
+  const cursor = Product.collection.find({ images: { $elemMatch: { thumbnailUrl: { $exists: false } } } });
+  for await (const product of cursor) {
+    const images = product.images.map((image) => (
+      image.thumbnailUrl || (image.storage || 'cloudinary') !== 'cloudinary' ? image : {
+        ...image,
+        storage: 'cloudinary',
+        thumbnailUrl: cloudinaryStorage.variantUrl(image.public_id, thumbnail),
+        mediumUrl: cloudinaryStorage.variantUrl(image.public_id, medium),
+      }
+    ));
+    await Product.collection.updateOne({ _id: product._id }, { $set: { images } });
+    modified++;
+  }
+  return modified;
+};
+
+// Produtos antigos tinham um único size/price/stock; passam a ter uma variante com esses valores.
+// Os itens de pedidos desses produtos passam a apontar para a variante criada.
+// Usa as coleções nativas porque 'size' já não faz parte do schema.
+const migrateProductVariants = async () => {
+  const variantByProduct = new Map();
+  const cursor = Product.collection.find({ variants: { $exists: false } });
+  for await (const product of cursor) {
+    const sku = `P${product._id.toString().slice(-8)}-${product.size || 'UNICO'}`.toUpperCase().replace(/[^A-Z0-9-]+/g, '');
+    const variant = {
+      _id: new mongoose.Types.ObjectId(),
+      size: product.size || 'Único',
+      sku,
+      price: product.price,
+      stock: product.stock || 0,
+    };
+    await Product.collection.updateOne({ _id: product._id }, { $set: { variants: [variant] }, $unset: { size: '' } });
+    variantByProduct.set(product._id.toString(), variant);
+  }
+
+  // Pedidos: também cobre produtos migrados num arranque anterior (sempre com uma única variante nessa altura).
+  // Itens sem variante identificável (produto apagado ou já com várias variantes) ficam com variant: null,
+  // que os marca como já processados.
+  const orders = Order.collection.find({ 'products.variant': { $exists: false } });
+  for await (const order of orders) {
+    const products = [];
+    for (const line of order.products) {
+      if (line.variant !== undefined) {
+        products.push(line);
+        continue;
+      }
+      let variant = variantByProduct.get(line.product.toString());
+      if (!variant) {
+        const product = await Product.collection.findOne({ _id: line.product }, { projection: { variants: 1 } });
+        variant = product && product.variants && product.variants.length === 1 ? product.variants[0] : null;
+      }
+      products.push(variant ? { ...line, variant: variant._id, sku: variant.sku, size: variant.size } : { ...line, variant: null });
+    }
+    await Order.collection.updateOne({ _id: order._id }, { $set: { products } });
+  }
+
+  return variantByProduct.size;
+};
+
+// Pedidos anteriores às contas de clientes não têm o telefone normalizado que os liga à conta (GET /me/orders).
+// Números que não são M-Pesa ficam sem customerPhone ('' marca-os como já processados).
+const migrateCustomerPhones = async () => {
+  let modified = 0;
+  const cursor = Order.collection.find({ customerPhone: { $exists: false } }, { projection: { 'customerInfo.phone': 1 } });
+  for await (const order of cursor) {
+    let customerPhone = '';
+    try {
+      customerPhone = normalizeMpesaNumber(order.customerInfo.phone);
+    } catch (error) {
+      // Número inválido para M-Pesa: o pedido não é ligado a nenhuma conta
+    }
+    await Order.collection.updateOne({ _id: order._id }, { $set: { customerPhone } });
+    modified++;
+  }
+  return modified;
+};
+
+// Produtos anteriores às avaliações não têm o resumo 'rating'; sem ele ficariam fora da ordenação por nota.
+const migrateProductRatings = async () => {
+  const result = await Product.collection.updateMany(
+    { rating: { $exists: false } },
+    { $set: { rating: { average: 0, count: 0 } } }
+  );
+  return result.modifiedCount;
+};
+
+const migrations = [
+  { name: 'mpesaDetails -> paymentDetails', run: migrateMpesaDetails },
+  { name: 'admin -> owner', run: migrateAdminRoles },
+  { name: 'miniaturas das imagens', run: migrateImageVariants },
+  { name: 'variantes dos produtos', run: migrateProductVariants },
+  { name: 'telefone dos clientes nos pedidos', run: migrateCustomerPhones },
+  { name: 'resumo das avaliações dos produtos', run: migrateProductRatings },
+];
+
+// Executa todas as migrações em ordem; uma falha é registrada mas não impede o servidor de subir
+const runMigrations = async () => {
+  for (const migration of migrations) {
+    try {
+      const modified = await migration.run();
+      if (modified > 0) {
+        console.log(`Migração "${migration.name}": ${modified} documento(s) atualizado(s).`);
+      }
+    } catch (error) {
+      console.error(`Falha na migração "${migration.name}":`, error);
+    }
+  }
+};
+
+module.exports = {
+  runMigrations,
+};
\ No newline at end of file
@@ -2,6 +2,63 @@
 
 const mongoose = require('mongoose');
 
+// --- Schema para as Variantes de um Produto (ex: 30ml, 50ml, 100ml) ---
+// Cada variante tem o seu próprio preço e estoque; os pedidos referem sempre uma variante.
+const VariantSchema = new mongoose.Schema({
+  size: {
+    type: String, // Ex: "100ml"
+    required: [true, 'O tamanho da variante é obrigatório.'],
+    trim: true,
+  },
+  sku: {
+    type: String,
+    required: [true, 'O SKU da variante é obrigatório.'],
+    trim: true,
+    uppercase: true,
+  },
+  price: {
+    type: Number,
+    required: [true, 'O preço da variante é obrigatório.'],
+    min: 0,
+  },
+  stock: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0,
+  },
+  barcode: { type: String, trim: true }, // EAN/UPC, opcional
+  // Preço promocional agendado: vale entre saleStartsAt e saleEndsAt (sem datas, vale enquanto existir)
+  salePrice: { type: Number, min: 0 },
+  saleStartsAt: { type: Date },
+  saleEndsAt: { type: Date },
+}, {
+  id: false,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indica se o preço promocional está em vigor
+VariantSchema.methods.isOnSale = function isOnSale(now = new Date()) {
+  if (this.salePrice === undefined || this.salePrice === null || this.salePrice >= this.price) return false;
+  if (this.saleStartsAt && this.saleStartsAt > now) return false;
+  if (this.saleEndsAt && this.saleEndsAt <= now) return false;
+  return true;
+};
+
+// Preço a cobrar agora (promocional, se estiver em vigor)
+VariantSchema.methods.currentPrice = function currentPrice(now = new Date()) {
+  return this.isOnSale(now) ? this.salePrice : this.price;
+};
+
+// Expostos na API para a loja mostrar o preço riscado
+VariantSchema.virtual('onSale').get(function onSale() {
+  return this.isOnSale();
+});
+VariantSchema.virtual('effectivePrice').get(function effectivePrice() {
+  return this.currentPrice();
+});
+
 // --- Schema para os Produtos (Perfumes) ---
 const ProductSchema = new mongoose.Schema({
   name: {
@@ -20,28 +77,37 @@ const ProductSchema = new mongoose.Schema({
       required: [true, 'A descrição completa é obrigatória.'],
     },
   },
+  variants: {
+    type: [VariantSchema],
+    validate: [
+      { validator: (variants) => variants.length > 0, message: 'O produto precisa de pelo menos uma variante.' },
+      {
+        validator: (variants) => new Set(variants.map((variant) => variant.sku)).size === variants.length,
+        message: 'Cada variante precisa de um SKU diferente.',
+      },
+    ],
+  },
+  // Resumo das variantes, calculado ao gravar: menor preço ("a partir de") e estoque total.
+  // Usado na ordenação e nos filtros do catálogo; as reservas de estoque atualizam 'stock' junto com a variante.
   price: {
     type: Number,
-    required: [true, 'O preço é obrigatório.'],
     min: 0,
   },
   images: [{
-    public_id: { type: String, required: true }, // ID público do Cloudinary
-    url: { type: String, required: true },       // URL da imagem no Cloudinary
+    public_id: { type: String, required: true }, // ID da imagem no backend de armazenamento
+    url: { type: String, required: true },       // URL da imagem original
+    thumbnailUrl: { type: String },              // Versão reduzida para listagens
+    mediumUrl: { type: String },                 // Versão intermediária para a página do produto
+    storage: { type: String, enum: ['cloudinary', 'local'], default: 'cloudinary' }, // Ver storage.js
   }],
   stock: {
     type: Number,
-    required: true,
     default: 0,
   },
   olfactoryNotes: {
     type: String,
     trim: true,
   },
-  size: {
-    type: String, // Ex: "100ml"
-    required: true,
-  },
   type: {
     type: String,
     required: true,
@@ -51,10 +117,51 @@ const ProductSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // Resumo das avaliações aprovadas (recalculado na moderação; ver Review)
+  rating: {
+    average: { type: Number, default: 0 },
+    count: { type: Number, default: 0 },
+    longevity: { type: Number }, // Médias das notas opcionais de duração e projeção
+    sillage: { type: Number },
+  },
+  // Alerta de estoque baixo (por variante) quando o estoque chega a este valor.
+  // Vazio usa config.inventory.defaultLowStockThreshold.
+  lowStockThreshold: {
+    type: Number,
+    min: 0,
+  },
 }, {
   timestamps: true, // Adiciona createdAt e updatedAt automaticamente
 });
 
+// Índices usados pela pesquisa e pelos filtros do catálogo (GET /products)
+// Busca textual: o nome pesa mais que as notas olfativas e as descrições
+ProductSchema.index(
+  { name: 'text', olfactoryNotes: 'text', 'description.short': 'text', 'description.full': 'text' },
+  { weights: { name: 10, olfactoryNotes: 5, 'description.short': 3, 'description.full': 1 }, default_language: 'portuguese', name: 'catalog_text' }
+);
+ProductSchema.index({ type: 1, price: 1 });
+ProductSchema.index({ featured: 1, createdAt: -1 });
+ProductSchema.index({ price: 1 });
+ProductSchema.index({ createdAt: -1 });
+ProductSchema.index({ 'variants.size': 1 });
+ProductSchema.index({ 'rating.average': -1, 'rating.count': -1 });
+ProductSchema.index({ 'variants.sku': 1 }, { unique: true }); // SKU único em todo o catálogo
+ProductSchema.index({ name: 1 }, { collation: { locale: 'pt', strength: 1 } }); // Ordenação alfabética sem distinguir acentos/maiúsculas
+
+// Recalcula o resumo das variantes antes de validar e gravar
+ProductSchema.pre('validate', function syncVariantSummary() {
+  if (this.variants && this.variants.length > 0) {
+    this.price = Math.min(...this.variants.map((variant) => variant.price));
+    this.stock = this.variants.reduce((sum, variant) => sum + (variant.stock || 0), 0);
+  }
+});
+
+// Procura uma variante pelo _id
+ProductSchema.methods.findVariant = function findVariant(variantId) {
+  return this.variants.find((variant) => variant._id.toString() === String(variantId));
+};
+
 // --- Schema para os Pedidos (Orders) ---
 const OrderSchema = new mongoose.Schema({
   customerInfo: {
@@ -62,16 +169,39 @@ const OrderSchema = new mongoose.Schema({
     phone: { type: String, required: true }, // Usado para pagamento Mpesa e notificações WhatsApp
     address: { type: String, required: true },
   },
+  // Conta do cliente (ver Customer) e telefone normalizado (258XXXXXXXXX), usado para ligar
+  // à conta os pedidos feitos sem login com o mesmo número
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+  customerPhone: { type: String },
   products: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product', // Referência ao modelo de Produto
       required: true,
     },
+    variant: { type: mongoose.Schema.Types.ObjectId }, // _id da variante em product.variants
+    sku: { type: String }, // SKU e tamanho no momento da compra (a variante pode mudar ou ser removida)
+    size: { type: String },
     quantity: { type: Number, required: true },
     price: { type: Number, required: true }, // Preço no momento da compra
+    refundedQuantity: { type: Number, default: 0 }, // Unidades já reembolsadas
   }],
-  totalAmount: {
+  subtotal: { type: Number }, // Soma dos itens, antes do desconto
+  discountAmount: { type: Number, default: 0 },
+  coupon: { // Cupom aplicado no checkout (cópia das regras no momento da compra)
+    code: { type: String },
+    discountType: { type: String },
+    value: { type: Number },
+    phone: { type: String }, // Número nacional do cliente, para o limite de uso por telefone
+  },
+  delivery: { // Zona de entrega escolhida no checkout (cópia dos dados no momento da compra)
+    zone: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryZone' },
+    name: { type: String },
+    fee: { type: Number },
+    estimatedDays: { min: { type: Number }, max: { type: Number } },
+  },
+  shippingFee: { type: Number, default: 0 },
+  totalAmount: { // Valor cobrado (subtotal - desconto + entrega)
     type: Number,
     required: true,
   },
@@ -83,7 +213,7 @@ const OrderSchema = new mongoose.Schema({
   paymentStatus: {
     type: String,
     required: true,
-    enum: ['pending', 'paid', 'failed'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded', 'refund_failed'],
     default: 'pending',
   },
   orderStatus: {
@@ -92,21 +222,294 @@ const OrderSchema = new mongoose.Schema({
     enum: ['processing', 'shipped', 'delivered', 'cancelled'],
     default: 'processing',
   },
-  mpesaDetails: { // Para armazenar informações da transação Mpesa
+  paymentDetails: { // Informações da transação no provedor de pagamento (M-Pesa, e-Mola...)
+    provider: { type: String },
     transactionReference: { type: String },
+    thirdPartyReference: { type: String, index: true }, // Nossa referência, usada nos callbacks
+    transactionID: { type: String }, // ID da transação retornado pelo provedor
+    conversationID: { type: String }, // ID da requisição retornado pelo provedor
+    transactionStatus: { type: String }, // Último estado obtido pela consulta de transação
+    lastQueriedAt: { type: Date },
+    responseCode: { type: String },
+    responseDescription: { type: String },
+  },
+  receipt: { // Recibo emitido quando o pedido é pago (ver receipts.js)
+    number: { type: String }, // Ex: REC-000042
+    sequence: { type: Number },
+    issuedAt: { type: Date },
+  },
+  refunds: [{ // Histórico de reembolsos (totais ou parciais)
+    amount: { type: Number, required: true },
+    items: [{
+      product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      variant: { type: mongoose.Schema.Types.ObjectId },
+      quantity: { type: Number },
+      price: { type: Number },
+    }],
+    reason: { type: String },
+    status: { type: String, enum: ['completed', 'failed'], required: true },
+    initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' }, // Admin que iniciou o reembolso
     thirdPartyReference: { type: String },
-    conversationID: { type: String }, // ID retornado pela API Mpesa
+    transactionID: { type: String }, // ID da transação de reversão no M-Pesa
     responseCode: { type: String },
     responseDescription: { type: String },
+    createdAt: { type: Date, default: Date.now },
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0,
+  },
+  refundInProgress: { // Trava para impedir dois reembolsos simultâneos do mesmo pedido
+    type: Boolean,
+    default: false,
+  },
+  statusHistory: [{ // Linha do tempo de mudanças de orderStatus e paymentStatus
+    field: { type: String, enum: ['orderStatus', 'paymentStatus'], required: true },
+    from: { type: String }, // null na criação do pedido
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    actor: { type: String, enum: ['admin', 'system'], required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' }, // Admin responsável, se houver
+    note: { type: String },
+  }],
+  stockReleased: { // true quando o estoque reservado pelo pedido já foi devolvido
+    type: Boolean,
+    default: false,
+  },
+  reservationExpiredAt: { // Preenchido quando o pedido expira sem confirmação de pagamento
+    type: Date,
   },
   trackingId: { // Para rastreamento da entrega
     type: String,
     default: () => new mongoose.Types.ObjectId().toString(), // Um ID único simples
+    index: true, // Consultado pela rota pública de rastreamento
   }
 }, {
   timestamps: true,
 });
 
+// Índice usado pelo job de expiração de reservas
+OrderSchema.index({ paymentMethod: 1, paymentStatus: 1, createdAt: 1 });
+// Relatórios por período
+OrderSchema.index({ createdAt: -1 });
+// Cada número de recibo pertence a um único pedido
+OrderSchema.index({ 'receipt.number': 1 }, { unique: true, partialFilterExpression: { 'receipt.number': { $type: 'string' } } });
+// Histórico de pedidos do cliente (GET /me/orders)
+OrderSchema.index({ customer: 1, createdAt: -1 });
+OrderSchema.index({ customerPhone: 1, createdAt: -1 });
+// Contagem de utilizações de um cupom por telefone
+OrderSchema.index({ 'coupon.code': 1, 'coupon.phone': 1 });
+
+
+// --- Schema para o registro de callbacks de pagamento (auditoria) ---
+// Todo callback recebido é guardado, inclusive os rejeitados e os repetidos.
+const PaymentCallbackSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  reference: { type: String, index: true }, // thirdPartyReference do pedido
+  payload: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  fingerprint: { type: String, required: true }, // Hash do provedor + corpo, usado para detectar repetições
+  authenticated: { type: Boolean, required: true },
+  duplicate: { type: Boolean, default: false },
+  claimed: { type: Boolean, default: false }, // true enquanto este registro "reserva" o fingerprint
+  outcome: {
+    type: String,
+    enum: ['received', 'applied', 'ignored', 'not_found', 'rejected', 'error'],
+    default: 'received',
+  },
+  detail: { type: String },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+}, {
+  timestamps: true,
+});
+
+// Apenas o primeiro callback autenticado com cada conteúdo é processado; os seguintes ficam marcados como duplicados.
+// O índice único garante isso mesmo com callbacks repetidos chegando ao mesmo tempo.
+// Se o processamento falhar, a reserva é liberada (claimed: false) para que a retentativa do provedor seja aceita.
+PaymentCallbackSchema.index(
+  { fingerprint: 1 },
+  { unique: true, partialFilterExpression: { claimed: true } }
+);
+
+
+// --- Schema para o histórico de movimentos de estoque (ver inventory.js) ---
+// Uma entrada por alteração do estoque de uma variante, com o estoque resultante.
+const StockMovementSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId, required: true },
+  sku: { type: String },
+  size: { type: String },
+  delta: { type: Number, required: true }, // Positivo entra no estoque, negativo sai
+  stockAfter: { type: Number, required: true },
+  reason: {
+    type: String,
+    required: true,
+    enum: [
+      'initial',           // Estoque inicial de uma variante nova
+      'order',             // Reserva no checkout
+      'order_release',     // Pedido cancelado, pagamento falhado ou expirado
+      'order_reserve',     // Nova reserva após pagamento tardio
+      'order_reserve_rollback', // Nova reserva desfeita por falta de estoque noutro item
+      'refund',            // Itens reembolsados voltam ao estoque
+      'restock',           // Entrada de mercadoria registada no painel
+      'adjustment',        // Correção manual (contagem, avaria...)
+      'product_update',    // Estoque alterado ao editar o produto
+      'import',            // Estoque alterado pela importação CSV
+    ],
+  },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  admin: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  note: { type: String, trim: true },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+StockMovementSchema.index({ product: 1, variant: 1, createdAt: -1 });
+StockMovementSchema.index({ order: 1 });
+StockMovementSchema.index({ createdAt: -1 });
+
+
+// --- Schema para os alertas de produto pedidos pelos clientes (ver subscriptions.js) ---
+// 'back_in_stock' é apagado depois do aviso; 'price_drop' continua ativo até expirar.
+const ProductSubscriptionSchema = new mongoose.Schema({
+  phone: { type: String, required: true }, // Normalizado: 258XXXXXXXXX
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  variant: { type: mongoose.Schema.Types.ObjectId, default: null }, // null = qualquer tamanho
+  type: { type: String, enum: ['back_in_stock', 'price_drop'], required: true },
+  referencePrice: { type: Number }, // price_drop: só avisa abaixo deste preço (atualizado a cada aviso)
+  lastNotifiedAt: { type: Date },
+  expiresAt: { type: Date, required: true },
+}, {
+  timestamps: true,
+});
+
+ProductSubscriptionSchema.index({ phone: 1, product: 1, variant: 1, type: 1 }, { unique: true });
+ProductSubscriptionSchema.index({ product: 1, type: 1 });
+// O MongoDB apaga os alertas expirados automaticamente
+ProductSubscriptionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+
+// --- Schema para as Avaliações dos produtos ---
+// Só quem recebeu um pedido com o produto pode avaliá-lo (uma avaliação por produto e pedido).
+// As avaliações ficam ocultas até serem aprovadas por um admin.
+const scoreField = (label) => ({
+  type: Number,
+  min: [1, `${label} deve ser entre 1 e 5.`],
+  max: [5, `${label} deve ser entre 1 e 5.`],
+  validate: { validator: Number.isInteger, message: `${label} deve ser um número inteiro.` },
+});
+
+const ReviewSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+  size: { type: String }, // Tamanho comprado
+  authorName: { type: String, trim: true }, // Primeiro nome do cliente do pedido
+  rating: { ...scoreField('A nota'), required: [true, 'A nota (1 a 5) é obrigatória.'] },
+  text: { type: String, trim: true, maxlength: [2000, 'O texto da avaliação pode ter no máximo 2000 caracteres.'] },
+  longevity: scoreField('A duração'), // Quanto tempo o perfume dura na pele
+  sillage: scoreField('A projeção'),  // Rasto / projeção do perfume
+  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  moderatedAt: { type: Date },
+  moderationNote: { type: String, trim: true },
+}, {
+  timestamps: true,
+});
+
+ReviewSchema.index({ order: 1, product: 1 }, { unique: true });
+ReviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+ReviewSchema.index({ status: 1, createdAt: -1 }); // Fila de moderação
+
+
+// --- Schema para a fila (outbox) de notificações WhatsApp ---
+const NotificationSchema = new mongoose.Schema({
+  to: { type: String, required: true }, // Telefone do destinatário
+  message: { type: String, required: true },
+  kind: { type: String }, // Ex: 'order_created', 'payment_status'
+  order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  document: { // Anexo opcional (ex: recibo em PDF); a mensagem vai como legenda do documento
+    data: { type: Buffer },
+    fileName: { type: String },
+    mimetype: { type: String },
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending',
+  },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 8 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: { type: Date }, // Quando o worker reservou a mensagem para envio
+  lastError: { type: String },
+  sentAt: { type: Date },
+}, {
+  timestamps: true,
+});
+
+// Índice usado pelo worker para buscar a próxima mensagem pronta para envio
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+// Limite diário de alertas de produto por número (ver subscriptions.js)
+NotificationSchema.index({ to: 1, createdAt: -1 });
+
+
+// --- Schema para os Cupons de desconto (ver coupons.js) ---
+const CouponSchema = new mongoose.Schema({
+  code: { type: String, required: [true, 'O código do cupom é obrigatório.'], unique: true, trim: true, uppercase: true },
+  description: { type: String },
+  discountType: { type: String, enum: ['percentage', 'fixed'], required: true },
+  value: {
+    type: Number,
+    required: true,
+    min: [0.01, 'O valor do desconto deve ser positivo.'],
+    validate: {
+      validator(value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'Um desconto percentual não pode passar de 100%.',
+    },
+  },
+  maxDiscount: { type: Number, min: 0 }, // Teto do desconto percentual, em MZN
+  minOrderAmount: { type: Number, min: 0, default: 0 },
+  startsAt: { type: Date },
+  expiresAt: { type: Date },
+  usageLimit: { type: Number, min: 1 }, // Total de utilizações (vazio = ilimitado)
+  usageLimitPerPhone: { type: Number, min: 1 }, // Utilizações por número de telefone (vazio = ilimitado)
+  productTypes: [{ type: String, enum: ['Masculino', 'Feminino', 'Unissex'] }], // Vazio = todos os produtos
+  active: { type: Boolean, default: true },
+  usedCount: { type: Number, default: 0 }, // Pedidos ativos que usam o cupom (volta a baixar se o pedido expirar/cancelar)
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+}, {
+  timestamps: true,
+});
+
+
+// --- Schema para as Zonas de Entrega ---
+const DeliveryZoneSchema = new mongoose.Schema({
+  name: { type: String, required: [true, 'O nome da zona é obrigatório.'], unique: true, trim: true }, // Ex: "Maputo Cidade"
+  description: { type: String }, // Bairros ou referências cobertas pela zona
+  fee: { type: Number, required: [true, 'A taxa de entrega é obrigatória.'], min: 0 },
+  freeDeliveryThreshold: { type: Number, min: 0 }, // Entrega grátis a partir deste valor em produtos (vazio = nunca)
+  estimatedDays: { // Prazo estimado de entrega, em dias úteis
+    min: { type: Number, min: 0, default: 1 },
+    max: {
+      type: Number,
+      min: 0,
+      default: 2,
+      validate: {
+        validator(value) {
+          return value >= (this.estimatedDays.min || 0);
+        },
+        message: 'O prazo máximo não pode ser menor que o mínimo.',
+      },
+    },
+  },
+  active: { type: Boolean, default: true },
+  sortOrder: { type: Number, default: 0 }, // Ordem na lista da loja
+}, {
+  timestamps: true,
+});
+
 
 // --- Schema para o Usuário Administrador ---
 const AdminUserSchema = new mongoose.Schema({
@@ -123,20 +526,131 @@ const AdminUserSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    default: 'admin',
-  }
+    enum: ['owner', 'catalog_manager', 'fulfillment'], // Ver permissions.js
+    default: 'fulfillment',
+  },
+  active: { type: Boolean, default: true }, // Contas desativadas não conseguem entrar nem usar tokens já emitidos
+  disabledAt: { type: Date },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  passwordChangedAt: { type: Date },
+  // Access tokens emitidos antes desta data são recusados (troca de senha, "terminar todas as sessões")
+  sessionsValidAfter: { type: Date },
 }, {
   timestamps: true
 });
 
 
+// --- Schema para as Sessões do painel (refresh tokens) ---
+// Só o hash do token é guardado. Cada uso gera um token novo e revoga o anterior (rotação);
+// o reuso de um token já rodado indica roubo e revoga todas as sessões da conta.
+const AdminSessionSchema = new mongoose.Schema({
+  admin: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date },
+  revokedReason: { type: String, enum: ['rotated', 'logout', 'logout_all', 'password_changed', 'reuse_detected', 'disabled'] },
+  replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminSession' },
+  ip: { type: String },
+  userAgent: { type: String },
+  lastUsedAt: { type: Date },
+}, {
+  timestamps: true,
+});
+
+// O MongoDB apaga as sessões expiradas automaticamente
+AdminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+
+// --- Schema para os Clientes (contas da loja, login por código enviado no WhatsApp) ---
+const CustomerSchema = new mongoose.Schema({
+  phone: { type: String, required: true, unique: true }, // Normalizado: 258XXXXXXXXX
+  name: { type: String, trim: true },
+  addresses: [{
+    label: { type: String, trim: true }, // Ex: 'Casa', 'Trabalho'
+    address: { type: String, required: [true, 'O endereço é obrigatório.'], trim: true },
+    deliveryZone: { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryZone' },
+    isDefault: { type: Boolean, default: false },
+  }],
+  lastLoginAt: { type: Date },
+  // Tokens emitidos antes desta data deixam de valer (logout de todas as sessões)
+  sessionsValidAfter: { type: Date },
+}, {
+  timestamps: true,
+});
+
+// Procura um endereço guardado pelo _id
+CustomerSchema.methods.findAddress = function findAddress(addressId) {
+  return this.addresses.find((address) => address._id.toString() === String(addressId));
+};
+
+
+// --- Schema para os códigos de login dos clientes (OTP) ---
+// Só é guardado o hash do código. Os códigos ficam um dia na base (para o limite de pedidos por hora)
+// e depois o MongoDB apaga-os automaticamente.
+const CustomerOtpSchema = new mongoose.Schema({
+  phone: { type: String, required: true, index: true },
+  codeHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  attempts: { type: Number, default: 0 }, // Tentativas de verificação falhadas
+  consumedAt: { type: Date },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+CustomerOtpSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+
+// --- Schema para os contadores sequenciais (ex: número dos recibos) ---
+const CounterSchema = new mongoose.Schema({
+  _id: { type: String }, // Nome do contador
+  seq: { type: Number, default: 0 },
+});
+
+
+// --- Schema para as Tentativas de Login falhadas (bloqueio por usuário + IP) ---
+const LoginAttemptSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // `${username}|${ip}`
+  failures: { type: Number, default: 0 },
+  windowStartedAt: { type: Date },
+  lastFailureAt: { type: Date },
+  lockedUntil: { type: Date },
+});
+
+// Registros sem falhas recentes são apagados depois de um dia
+LoginAttemptSchema.index({ lastFailureAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+
 // Exporta os modelos para serem usados em outras partes da aplicação
 const Product = mongoose.model('Product', ProductSchema);
 const Order = mongoose.model('Order', OrderSchema);
 const AdminUser = mongoose.model('AdminUser', AdminUserSchema);
+const AdminSession = mongoose.model('AdminSession', AdminSessionSchema);
+const LoginAttempt = mongoose.model('LoginAttempt', LoginAttemptSchema);
+const PaymentCallback = mongoose.model('PaymentCallback', PaymentCallbackSchema);
+const Notification = mongoose.model('Notification', NotificationSchema);
+const Coupon = mongoose.model('Coupon', CouponSchema);
+const DeliveryZone = mongoose.model('DeliveryZone', DeliveryZoneSchema);
+const StockMovement = mongoose.model('StockMovement', StockMovementSchema);
+const Customer = mongoose.model('Customer', CustomerSchema);
+const ProductSubscription = mongoose.model('ProductSubscription', ProductSubscriptionSchema);
+const Review = mongoose.model('Review', ReviewSchema);
+const Counter = mongoose.model('Counter', CounterSchema);
+const CustomerOtp = mongoose.model('CustomerOtp', CustomerOtpSchema);
 
 module.exports = {
   Product,
   Order,
   AdminUser,
+  AdminSession,
+  LoginAttempt,
+  PaymentCallback,
+  Notification,
+  Coupon,
+  DeliveryZone,
+  StockMovement,
+  Customer,
+  CustomerOtp,
+  ProductSubscription,
+  Review,
+  Counter,
 };
\ No newline at end of file
@@ -0,0 +1,120 @@
+// notifications.js
+
+const { Notification } = require('./models');
+const config = require('./config');
+
+// --- Outbox de notificações WhatsApp ---
+// As mensagens não são enviadas diretamente pelos controllers: ficam gravadas na coleção
+// 'notifications' e um worker (agendado no server.js) as envia pelo Baileys.
+// Assim nenhuma mensagem se perde se o WhatsApp estiver a reconectar ou se o envio falhar.
+
+// Formata o número para o padrão do Baileys (ex: 258841234567@s.whatsapp.net)
+const toWhatsAppJid = (phone) => `${phone.replace(/\D/g, '')}@s.whatsapp.net`;
+
+// Função utilitária para enviar notificações via WhatsApp
+// Apenas coloca a mensagem na fila; 'context' = { order, kind } ajuda a identificá-la no painel.
+// Com 'context.document' = { data, fileName, mimetype }, a mensagem é enviada como legenda do documento.
+// Nunca lança erro: uma falha ao gravar a notificação não deve derrubar a operação que a originou.
+const sendWhatsAppMessage = async (to, message, context = {}) => {
+  try {
+    if (!to) {
+      console.log('Notificação WhatsApp sem destinatário. Mensagem não enfileirada.');
+      return null;
+    }
+    return await Notification.create({
+      to,
+      message,
+      order: context.order,
+      kind: context.kind,
+      document: context.document,
+      maxAttempts: config.whatsapp.outbox.maxAttempts,
+    });
+  } catch (error) {
+    console.error(`Falha ao enfileirar mensagem para ${to}:`, error);
+    return null;
+  }
+};
+
+// Calcula o próximo horário de tentativa com backoff exponencial (base * 2^(tentativas-1), com teto)
+const nextAttemptDate = (attempts) => {
+  const { baseDelaySeconds, maxDelayMinutes } = config.whatsapp.outbox;
+  const delayMs = Math.min(baseDelaySeconds * 1000 * 2 ** (attempts - 1), maxDelayMinutes * 60 * 1000);
+  return new Date(Date.now() + delayMs);
+};
+
+// Reserva a próxima mensagem pronta para envio (pending -> sending) de forma atômica,
+// para que duas execuções do worker nunca enviem a mesma mensagem
+const claimNextNotification = () => Notification.findOneAndUpdate(
+  { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+  { $set: { status: 'sending', lockedAt: new Date() } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+// Mensagens presas em 'sending' (ex: o processo caiu durante o envio) voltam para a fila
+const releaseStaleNotifications = () => Notification.updateMany(
+  { status: 'sending', lockedAt: { $lte: new Date(Date.now() - config.whatsapp.outbox.lockTimeoutSeconds * 1000) } },
+  { $set: { status: 'pending' }, $unset: { lockedAt: '' } }
+);
+
+// Conteúdo da mensagem no formato do Baileys: texto simples ou documento com legenda
+const messageContent = (notification) => {
+  const { document } = notification;
+  if (document && document.data) {
+    return { document: document.data, fileName: document.fileName, mimetype: document.mimetype, caption: notification.message };
+  }
+  return { text: notification.message };
+};
+
+// Envia um lote de mensagens pendentes pelo socket Baileys
+// Não é um controller HTTP: é executado periodicamente pelo server.js e logo após o WhatsApp reconectar.
+// Quem chama deve garantir que a conexão está 'connected'.
+const processOutbox = async (sock) => {
+  if (!sock) return 0;
+
+  await releaseStaleNotifications();
+
+  let sentCount = 0;
+  for (let i = 0; i < config.whatsapp.outbox.batchSize; i++) {
+    const notification = await claimNextNotification();
+    if (!notification) break;
+
+    const attempts = notification.attempts + 1;
+    try {
+      await sock.sendMessage(toWhatsAppJid(notification.to), messageContent(notification));
+      await Notification.updateOne({ _id: notification._id }, {
+        $set: { status: 'sent', attempts, sentAt: new Date() },
+        $unset: { lockedAt: '', lastError: '' },
+      });
+      console.log(`Mensagem enviada para ${toWhatsAppJid(notification.to)}`);
+      sentCount++;
+    } catch (error) {
+      const exhausted = attempts >= notification.maxAttempts;
+      console.error(`Falha ao enviar mensagem para ${notification.to} (tentativa ${attempts}):`, error.message);
+      await Notification.updateOne({ _id: notification._id }, {
+        $set: {
+          status: exhausted ? 'failed' : 'pending',
+          attempts,
+          lastError: error.message,
+          nextAttemptAt: exhausted ? notification.nextAttemptAt : nextAttemptDate(attempts),
+        },
+        $unset: { lockedAt: '' },
+      });
+    }
+  }
+
+  return sentCount;
+};
+
+// Recoloca uma notificação na fila para envio imediato, zerando as tentativas
+const requeueNotification = (id) => Notification.findOneAndUpdate(
+  { _id: id, status: { $ne: 'sending' } },
+  { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() }, $unset: { lastError: '' } },
+  { new: true }
+);
+
+module.exports = {
+  sendWhatsAppMessage,
+  processOutbox,
+  requeueNotification,
+  toWhatsAppJid,
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+// orderStatus.js
+
+// --- Máquina de estados dos pedidos ---
+// Cada grafo indica, para cada estado, os estados seguintes permitidos e quem pode fazer a transição:
+//   'admin'  -> mudança pedida por um administrador no painel
+//   'system' -> mudança feita pelo próprio backend (callbacks, reconciliação, expiração, reembolsos)
+
+const ORDER_STATUS_TRANSITIONS = {
+  processing: { shipped: ['admin'], cancelled: ['admin', 'system'] },
+  shipped: { delivered: ['admin'], cancelled: ['admin'] },
+  delivered: {},
+  // Um pedido cancelado só volta a 'processing' quando um pagamento tardio é confirmado
+  cancelled: { processing: ['system'] },
+};
+
+// Um pedido 'paid' nunca volta a 'failed'; 'failed' só passa a 'paid' quando um pagamento tardio é confirmado.
+// O admin só marca como pago um pedido com pagamento na entrega (a regra do método fica no controller).
+const PAYMENT_STATUS_TRANSITIONS = {
+  pending: { paid: ['admin', 'system'], failed: ['system'] },
+  failed: { paid: ['system'] },
+  paid: { partially_refunded: ['system'], refunded: ['system'], refund_failed: ['system'] },
+  partially_refunded: { partially_refunded: ['system'], refunded: ['system'], refund_failed: ['system'] },
+  refund_failed: { partially_refunded: ['system'], refunded: ['system'], refund_failed: ['system'] },
+  refunded: {},
+};
+
+// Rótulos em português para mensagens aos clientes
+const ORDER_STATUS_LABELS = {
+  processing: 'Em preparação',
+  shipped: 'Enviado',
+  delivered: 'Entregue',
+  cancelled: 'Cancelado',
+};
+
+const PAYMENT_STATUS_LABELS = {
+  pending: 'Aguardando pagamento',
+  paid: 'Pago',
+  failed: 'Falhou',
+  partially_refunded: 'Parcialmente reembolsado',
+  refunded: 'Reembolsado',
+  refund_failed: 'Reembolso pendente',
+};
+
+const GRAPHS = {
+  orderStatus: ORDER_STATUS_TRANSITIONS,
+  paymentStatus: PAYMENT_STATUS_TRANSITIONS,
+};
+
+// Erro lançado quando uma transição não faz parte do grafo
+class StatusTransitionError extends Error {
+  constructor(field, from, to, allowed) {
+    const options = allowed.length > 0 ? allowed.join(', ') : 'nenhuma';
+    super(`Transição inválida de ${field}: '${from}' -> '${to}'. Transições permitidas a partir de '${from}': ${options}.`);
+    this.name = 'StatusTransitionError';
+    this.field = field;
+    this.from = from;
+    this.to = to;
+    this.allowed = allowed;
+  }
+}
+
+// Lista os estados seguintes permitidos para 'actor' a partir de 'from'
+const allowedTransitions = (field, from, actor) => {
+  const edges = GRAPHS[field][from] || {};
+  return Object.keys(edges).filter((to) => edges[to].includes(actor));
+};
+
+const canTransition = (field, from, to, actor) => allowedTransitions(field, from, actor).includes(to);
+
+// Lança StatusTransitionError se a transição não for permitida
+const assertTransition = (field, from, to, actor) => {
+  if (!canTransition(field, from, to, actor)) {
+    throw new StatusTransitionError(field, from, to, allowedTransitions(field, from, actor));
+  }
+};
+
+// Lista os estados a partir dos quais 'actor' pode chegar a 'to' (útil em filtros de updates atômicos)
+const statusesLeadingTo = (field, to, actor) =>
+  Object.keys(GRAPHS[field]).filter((from) => canTransition(field, from, to, actor));
+
+// Compara o pedido antes e depois de uma mudança e gera as entradas de statusHistory correspondentes
+// 'meta' = { actor, adminId, note }
+const buildStatusHistory = (before, after, meta) => {
+  const entries = [];
+  for (const field of Object.keys(GRAPHS)) {
+    const from = before ? before[field] : null;
+    if (from !== after[field]) {
+      entries.push({
+        field,
+        from,
+        to: after[field],
+        at: new Date(),
+        actor: meta.actor,
+        changedBy: meta.adminId,
+        note: meta.note,
+      });
+    }
+  }
+  return entries;
+};
+
+module.exports = {
+  ORDER_STATUS_TRANSITIONS,
+  PAYMENT_STATUS_TRANSITIONS,
+  ORDER_STATUS_LABELS,
+  PAYMENT_STATUS_LABELS,
+  StatusTransitionError,
+  allowedTransitions,
+  canTransition,
+  assertTransition,
+  statusesLeadingTo,
+  buildStatusHistory,
+};
\ No newline at end of file
@@ -0,0 +1,392 @@
+// payments.js
+
+const axios = require('axios');
+const https = require('https'); // Necessário para a API de teste do Mpesa
+const config = require('./config');
+
+// Todos os provedores de pagamento implementam a mesma interface:
+//   initiate({ phone, amount, reference }) -> { status: 'pending' | 'paid', details, response }
+//   parseCallback(body)                   -> { reference, paid, resultCode, resultDesc } (opcional)
+//   queryStatus(details)                  -> { status: 'completed' | 'failed' | 'pending', transactionStatus, resultCode, response } (opcional)
+//   refund({ details, amount, reference })-> { success, transactionID, responseCode, responseDescription } (opcional)
+// 'details' é o objeto guardado em Order.paymentDetails.
+// 'expiresUnpaid' indica que o pedido aguarda a confirmação do cliente e deve expirar se ela não vier.
+
+// --- Erro padronizado dos provedores ---
+// Envolve falhas de comunicação com as APIs externas, mantendo a resposta original em 'details'.
+class PaymentError extends Error {
+  constructor(provider, message, details) {
+    super(message);
+    this.name = 'PaymentError';
+    this.provider = provider;
+    this.details = details;
+  }
+}
+
+// Executa uma chamada HTTP a um provedor, convertendo erros do Axios em PaymentError
+const callProvider = async (provider, describeError, request) => {
+  try {
+    const response = await request();
+    return response.data;
+  } catch (error) {
+    if (error.response) {
+      console.error(`Resposta da API externa (${provider}):`, error.response.status, error.response.data);
+      const message = describeError(error.response.data) || 'Erro de comunicação com o serviço de pagamento.';
+      throw new PaymentError(provider, message, error.response.data);
+    }
+    throw new PaymentError(provider, error.message);
+  }
+};
+
+// Função utilitária para normalizar um número moçambicano para o formato 258XXXXXXXXX
+// 'prefixes' limita as operadoras aceitas (ex: 84/85 para M-Pesa, 86/87 para e-Mola)
+const normalizeMozNumber = (phone, prefixes, providerLabel) => {
+  let cleanPhone = phone.replace(/\D/g, ''); // Remove todos os não-dígitos
+  if (cleanPhone.startsWith('0')) {
+    cleanPhone = cleanPhone.substring(1); // Remove o '0' inicial, ex: 084 -> 84
+  }
+  if (cleanPhone.length === 12 && cleanPhone.startsWith('258')) {
+    cleanPhone = cleanPhone.substring(3);
+  }
+  if (cleanPhone.length === 9 && prefixes.some((prefix) => cleanPhone.startsWith(prefix))) {
+    return `258${cleanPhone}`;
+  }
+  // Se não corresponder a um formato válido, lança um erro controlado
+  throw new Error(`Número de telefone '${phone}' é inválido para ${providerLabel}.`);
+};
+
+// Função utilitária para normalizar o número de telefone para o padrão M-Pesa
+const normalizeMpesaNumber = (phone) => normalizeMozNumber(phone, ['84', '85'], 'M-Pesa');
+
+// Função utilitária para normalizar o número de telefone para o padrão e-Mola (Movitel)
+const normalizeEmolaNumber = (phone) => normalizeMozNumber(phone, ['86', '87'], 'e-Mola');
+
+// =================================================================
+// == M-PESA (Vodacom) =============================================
+// =================================================================
+
+// --- Agente HTTPS para a API M-Pesa Sandbox ---
+// A API de sandbox do M-Pesa usa um certificado autoassinado, o que causa erros em Node.js.
+// Esta configuração ignora a verificação do certificado APENAS para as requisições ao M-Pesa.
+// ATENÇÃO: Não use rejectUnauthorized: false em produção com APIs que tenham certificados válidos.
+const mpesaAgent = new https.Agent({
+  rejectUnauthorized: false,
+});
+
+// Cabeçalhos comuns a todas as chamadas à API M-Pesa
+const mpesaHeaders = () => ({
+  'Authorization': config.mpesa.authToken,
+  'Content-Type': 'application/json',
+  'Origin': '*', // Adicionado para corrigir o erro "Origin header is missing"
+});
+
+const describeMpesaError = (data) => data?.output_ResponseDesc || data?.output_error;
+
+// Estados finais de falha devolvidos pela consulta de transação do M-Pesa
+const MPESA_FAILED_TRANSACTION_STATUSES = ['Failed', 'Cancelled', 'Expired'];
+
+const mpesaProvider = {
+  name: 'Mpesa',
+  label: 'M-Pesa',
+  expiresUnpaid: true,
+
+  // Inicia um pagamento C2B: o cliente recebe o pedido de confirmação (USSD) no telemóvel
+  initiate: async ({ phone, amount, reference }) => {
+    const mpesaPayload = {
+      input_TransactionReference: reference,
+      input_CustomerMSISDN: normalizeMpesaNumber(phone),
+      input_Amount: amount.toString(),
+      input_ThirdPartyReference: reference,
+      input_ServiceProviderCode: config.mpesa.serviceProviderCode,
+    };
+
+    console.log('Enviando para M-Pesa:', mpesaPayload); // Log útil para debug
+
+    const data = await callProvider('M-Pesa', describeMpesaError, () =>
+      axios.post(config.mpesa.apiURL, mpesaPayload, { headers: mpesaHeaders(), httpsAgent: mpesaAgent })
+    );
+
+    console.log('Pagamento M-Pesa iniciado. Resposta da API:', data);
+
+    return {
+      status: 'pending',
+      details: {
+        transactionID: data.output_TransactionID,
+        conversationID: data.output_ConversationID,
+        responseCode: data.output_ResponseCode,
+        responseDescription: data.output_ResponseDesc,
+      },
+      response: data,
+    };
+  },
+
+  parseCallback: (body) => ({
+    reference: body.input_ThirdPartyReference,
+    paid: body.input_ResultCode === 'INS-0',
+    resultCode: body.input_ResultCode,
+    resultDesc: body.input_ResultDesc,
+  }),
+
+  // Consulta o estado de uma transação já iniciada
+  // Sem MPESA_QUERY_URL, o endpoint é derivado do host de config.mpesa.apiURL (útil com um servidor mock local).
+  queryStatus: async (details) => {
+    const url = config.mpesa.queryURL || new URL('/ipg/v1x/queryTransactionStatus/', config.mpesa.apiURL).toString();
+    const data = await callProvider('M-Pesa', describeMpesaError, () =>
+      axios.get(url, {
+        params: {
+          input_QueryReference: details.conversationID || details.thirdPartyReference,
+          input_ServiceProviderCode: config.mpesa.serviceProviderCode,
+          input_ThirdPartyReference: `QUERY_${Date.now()}`,
+        },
+        headers: mpesaHeaders(),
+        httpsAgent: mpesaAgent,
+      })
+    );
+
+    const transactionStatus = data.output_ResponseTransactionStatus;
+    let status = 'pending';
+    if (transactionStatus === 'Completed') status = 'completed';
+    if (MPESA_FAILED_TRANSACTION_STATUSES.includes(transactionStatus)) status = 'failed';
+
+    return { status, transactionStatus, resultCode: data.output_ResponseCode, response: data };
+  },
+
+  // Reverte (total ou parcialmente) uma transação já concluída
+  // Sem MPESA_REVERSAL_URL, o endpoint é derivado do host de config.mpesa.apiURL.
+  refund: async ({ details, amount, reference }) => {
+    const url = config.mpesa.reversalURL || new URL('/ipg/v1x/reversal/', config.mpesa.apiURL).toString();
+    const data = await callProvider('M-Pesa', describeMpesaError, () =>
+      axios.put(url, {
+        input_TransactionID: details.transactionID,
+        input_SecurityCredential: config.mpesa.securityCredential,
+        input_InitiatorIdentifier: config.mpesa.initiatorIdentifier,
+        input_ThirdPartyReference: reference,
+        input_ServiceProviderCode: config.mpesa.serviceProviderCode,
+        input_ReversalAmount: amount.toString(),
+      }, { headers: mpesaHeaders(), httpsAgent: mpesaAgent })
+    );
+
+    return {
+      success: data.output_ResponseCode === 'INS-0',
+      transactionID: data.output_TransactionID,
+      responseCode: data.output_ResponseCode,
+      responseDescription: data.output_ResponseDesc,
+    };
+  },
+};
+
+// =================================================================
+// == E-MOLA (Movitel) =============================================
+// =================================================================
+
+// Cabeçalhos comuns a todas as chamadas à API e-Mola
+const emolaHeaders = () => ({
+  'Authorization': `Bearer ${config.emola.apiKey}`,
+  'Content-Type': 'application/json',
+});
+
+const describeEmolaError = (data) => data?.message || data?.errorMessage;
+
+// Monta a URL de uma operação e-Mola a partir da base configurada
+const emolaURL = (path) => new URL(path, config.emola.apiURL).toString();
+
+// Códigos de estado da consulta de transação e-Mola
+const EMOLA_FAILED_TRANSACTION_STATUSES = ['FAILED', 'CANCELLED', 'EXPIRED'];
+
+const emolaProvider = {
+  name: 'Emola',
+  label: 'e-Mola',
+  expiresUnpaid: true,
+
+  // Envia o pedido de pagamento (USSD push) para o telemóvel do cliente
+  initiate: async ({ phone, amount, reference }) => {
+    const payload = {
+      partnerCode: config.emola.partnerCode,
+      msisdn: normalizeEmolaNumber(phone),
+      amount: amount.toString(),
+      transId: reference,
+      description: `Pedido ${reference}`,
+      callbackUrl: config.emola.callbackURL,
+    };
+
+    console.log('Enviando para e-Mola:', payload);
+
+    const data = await callProvider('e-Mola', describeEmolaError, () =>
+      axios.post(emolaURL(config.emola.paths.payment), payload, { headers: emolaHeaders() })
+    );
+
+    if (data.errorCode !== '0') {
+      throw new PaymentError('e-Mola', describeEmolaError(data) || `Código de erro ${data.errorCode}`, data);
+    }
+
+    return {
+      status: 'pending',
+      details: {
+        transactionID: data.transactionId,
+        conversationID: data.requestId,
+        responseCode: data.errorCode,
+        responseDescription: data.message,
+      },
+      response: data,
+    };
+  },
+
+  parseCallback: (body) => ({
+    reference: body.transId,
+    paid: body.errorCode === '0',
+    resultCode: body.errorCode,
+    resultDesc: body.message,
+    transactionID: body.transactionId,
+  }),
+
+  queryStatus: async (details) => {
+    const data = await callProvider('e-Mola', describeEmolaError, () =>
+      axios.post(emolaURL(config.emola.paths.query), {
+        partnerCode: config.emola.partnerCode,
+        transId: details.thirdPartyReference,
+      }, { headers: emolaHeaders() })
+    );
+
+    let status = 'pending';
+    if (data.status === 'SUCCESS') status = 'completed';
+    if (EMOLA_FAILED_TRANSACTION_STATUSES.includes(data.status)) status = 'failed';
+
+    return { status, transactionStatus: data.status, resultCode: data.errorCode, response: data };
+  },
+
+  refund: async ({ details, amount, reference }) => {
+    const data = await callProvider('e-Mola', describeEmolaError, () =>
+      axios.post(emolaURL(config.emola.paths.refund), {
+        partnerCode: config.emola.partnerCode,
+        originalTransactionId: details.transactionID,
+        amount: amount.toString(),
+        transId: reference,
+      }, { headers: emolaHeaders() })
+    );
+
+    return {
+      success: data.errorCode === '0',
+      transactionID: data.transactionId,
+      responseCode: data.errorCode,
+      responseDescription: data.message,
+    };
+  },
+};
+
+// =================================================================
+// == PAGAMENTO NA ENTREGA =========================================
+// =================================================================
+
+// Nenhum dinheiro é movimentado online: o pedido fica 'pending' até o admin confirmar o recebimento.
+const cashOnDeliveryProvider = {
+  name: 'Entrega',
+  label: 'Pagamento na entrega',
+  expiresUnpaid: false,
+
+  initiate: async () => ({ status: 'pending', details: {}, response: null }),
+};
+
+// =================================================================
+// == SANDBOX (testes locais) ======================================
+// =================================================================
+
+// Simula um provedor assíncrono sem chamar nenhuma API externa.
+// A consulta de estado aprova o pagamento, exceto para telefones terminados em '0000' (simulam falha).
+// O resultado também pode ser forçado por POST /api/payments/sandbox-callback com { reference, paid }.
+const createSandboxProvider = (method) => ({
+  name: method,
+  label: `${method} (sandbox)`,
+  expiresUnpaid: true,
+  sandbox: true,
+
+  initiate: async ({ phone, amount, reference }) => {
+    console.log(`[sandbox] Pagamento ${method} iniciado: ${amount} MZN de ${phone} (${reference})`);
+    return {
+      status: 'pending',
+      details: {
+        transactionID: `SANDBOX_${reference}`,
+        responseCode: phone.replace(/\D/g, '').endsWith('0000') ? 'SANDBOX-FAIL' : 'SANDBOX-OK',
+        responseDescription: 'Pagamento simulado iniciado.',
+      },
+      response: { sandbox: true, reference },
+    };
+  },
+
+  parseCallback: (body) => {
+    const paid = body.paid === true || body.paid === 'true';
+    return {
+      reference: body.reference,
+      paid,
+      resultCode: paid ? 'SANDBOX-OK' : 'SANDBOX-FAIL',
+      resultDesc: body.description || 'Resultado simulado.',
+    };
+  },
+
+  queryStatus: async (details) => {
+    const failed = details.responseCode === 'SANDBOX-FAIL';
+    return {
+      status: failed ? 'failed' : 'completed',
+      transactionStatus: failed ? 'Failed' : 'Completed',
+      resultCode: details.responseCode,
+      response: { sandbox: true },
+    };
+  },
+
+  refund: async ({ amount, reference }) => ({
+    success: true,
+    transactionID: `SANDBOX_${reference}`,
+    responseCode: 'SANDBOX-OK',
+    responseDescription: `Reembolso simulado de ${amount} MZN.`,
+  }),
+});
+
+// =================================================================
+// == REGISTRO DE PROVEDORES =======================================
+// =================================================================
+
+// Provedores reais por método de pagamento (Order.paymentMethod).
+// 'Cartao' não tem provedor real ainda: só fica disponível no modo sandbox.
+const providers = {
+  Mpesa: mpesaProvider,
+  Emola: emolaProvider,
+  Entrega: cashOnDeliveryProvider,
+};
+
+// Mesmos valores aceitos por Order.paymentMethod
+const PAYMENT_METHODS = ['Mpesa', 'Emola', 'Cartao', 'Entrega'];
+
+// Métodos substituídos pelo provedor sandbox quando config.payments.sandbox está ativo
+const SANDBOX_METHODS = ['Mpesa', 'Emola', 'Cartao'];
+
+// Retorna o provedor ativo para um método de pagamento, ou null se o método não estiver disponível
+const getPaymentProvider = (method) => {
+  if (config.payments.sandbox && SANDBOX_METHODS.includes(method)) {
+    return createSandboxProvider(method);
+  }
+  return providers[method] || null;
+};
+
+// Lista os métodos cujo provedor ativo implementa uma operação (ex: 'queryStatus', 'refund')
+const getMethodsSupporting = (operation) =>
+  PAYMENT_METHODS.filter((method) => {
+    const provider = getPaymentProvider(method);
+    return Boolean(provider && provider[operation]);
+  });
+
+// Lista os métodos cujos pedidos devem expirar sem confirmação de pagamento
+const getExpiringMethods = () =>
+  PAYMENT_METHODS.filter((method) => {
+    const provider = getPaymentProvider(method);
+    return Boolean(provider && provider.expiresUnpaid);
+  });
+
+module.exports = {
+  PaymentError,
+  providers,
+  createSandboxProvider,
+  getPaymentProvider,
+  getMethodsSupporting,
+  getExpiringMethods,
+  normalizeMpesaNumber,
+  normalizeEmolaNumber,
+};
\ No newline at end of file
@@ -0,0 +1,41 @@
+// permissions.js
+
+// --- Papéis e permissões dos utilizadores do painel ---
+//   'owner'           -> dono da loja: acesso total, incluindo gestão de contas, reembolsos e sessão WhatsApp
+//   'catalog_manager' -> gere produtos e imagens do catálogo, estoque, cupons, promoções e avaliações
+//   'fulfillment'     -> prepara e envia pedidos, acompanha notificações aos clientes
+
+const ROLES = ['owner', 'catalog_manager', 'fulfillment'];
+
+// Papéis que têm cada permissão. As rotas de admin verificam sempre uma permissão, nunca um papel,
+// para que um novo papel possa ser criado apenas acrescentando-o aqui.
+const PERMISSIONS = {
+  'products:write': ['owner', 'catalog_manager'],
+  'coupons:manage': ['owner', 'catalog_manager'],
+  'inventory:manage': ['owner', 'catalog_manager'],
+  'reviews:moderate': ['owner', 'catalog_manager'],
+  'orders:read': ['owner', 'fulfillment'],
+  'orders:update': ['owner', 'fulfillment'],
+  'orders:refund': ['owner'],
+  'payments:audit': ['owner'],
+  'notifications:manage': ['owner', 'fulfillment'],
+  'whatsapp:manage': ['owner'],
+  'users:manage': ['owner'],
+  'analytics:read': ['owner'],
+  'delivery:manage': ['owner'],
+};
+
+const isValidRole = (role) => ROLES.includes(role);
+
+const hasPermission = (role, permission) => (PERMISSIONS[permission] || []).includes(role);
+
+// Lista as permissões de um papel (devolvida no login para o painel esconder o que o utilizador não pode usar)
+const permissionsForRole = (role) => Object.keys(PERMISSIONS).filter((permission) => hasPermission(role, permission));
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  isValidRole,
+  hasPermission,
+  permissionsForRole,
+};
\ No newline at end of file
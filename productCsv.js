@@ -0,0 +1,94 @@
+// productCsv.js
+
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+
+// --- Importação e exportação do catálogo em CSV ---
+// Uma linha por variante. As colunas do produto (nome, descrições, tipo...) repetem-se em cada variante;
+// na importação, as linhas com o mesmo nome formam um produto. As imagens vão numa única coluna,
+// com as URLs separadas por '|'.
+
+const CSV_COLUMNS = [
+  'name',
+  'descriptionShort',
+  'descriptionFull',
+  'olfactoryNotes',
+  'type',
+  'featured',
+  'size',
+  'sku',
+  'price',
+  'stock',
+  'barcode',
+  'imageUrls',
+];
+
+const IMAGE_URL_SEPARATOR = '|';
+
+// Converte os produtos (com variantes) em CSV
+const productsToCsv = (products) => {
+  const records = [];
+  for (const product of products) {
+    const imageUrls = product.images.map((image) => image.url).join(IMAGE_URL_SEPARATOR);
+    for (const variant of product.variants) {
+      records.push({
+        name: product.name,
+        descriptionShort: product.description.short,
+        descriptionFull: product.description.full,
+        olfactoryNotes: product.olfactoryNotes || '',
+        type: product.type,
+        featured: product.featured ? 'true' : 'false',
+        size: variant.size,
+        sku: variant.sku,
+        price: variant.price,
+        stock: variant.stock,
+        barcode: variant.barcode || '',
+        imageUrls,
+      });
+    }
+  }
+  return stringify(records, { header: true, columns: CSV_COLUMNS, bom: true }); // BOM para o Excel reconhecer UTF-8
+};
+
+// Lê o CSV e devolve as linhas com o número da linha no arquivo (o cabeçalho é a linha 1)
+// Aceita ',' ou ';' como separador (o Excel em português exporta com ';').
+// Lança erro se o arquivo não puder ser lido ou faltarem colunas obrigatórias.
+const parseProductCsv = (buffer) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+  const records = parse(text, { columns: true, delimiter, skip_empty_lines: true, trim: true, info: true });
+  const columns = records.length > 0 ? Object.keys(records[0].record) : [];
+  const missing = ['name', 'size', 'price'].filter((column) => !columns.includes(column));
+  if (records.length > 0 && missing.length > 0) {
+    throw new Error(`Colunas obrigatórias em falta: ${missing.join(', ')}.`);
+  }
+
+  return records.map(({ record, info }) => ({ line: info.lines, ...record }));
+};
+
+// Agrupa as linhas pelo nome do produto (sem distinguir maiúsculas/acentos)
+const groupRowsByProduct = (rows) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = (row.name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return [...groups.values()];
+};
+
+// Lista de URLs da coluna imageUrls
+const parseImageUrls = (value) => (value || '')
+  .split(IMAGE_URL_SEPARATOR)
+  .map((url) => url.trim())
+  .filter(Boolean);
+
+module.exports = {
+  CSV_COLUMNS,
+  productsToCsv,
+  parseProductCsv,
+  groupRowsByProduct,
+  parseImageUrls,
+};
\ No newline at end of file
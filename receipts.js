@@ -0,0 +1,193 @@
+// receipts.js
+
+const PDFDocument = require('pdfkit');
+const { Order, Counter } = require('./models');
+const config = require('./config');
+
+// --- Recibos em PDF ---
+// Cada pedido pago recebe um número de recibo sequencial (config.receipts.prefix + contador na coleção 'counters').
+// O PDF é gerado a partir do pedido gravado: itens ao preço da compra, descontos, taxa de entrega,
+// total em MZN e os dados do pagamento no provedor.
+
+const RECEIPT_ISSUE_TIMEOUT_MS = 60 * 1000;
+
+const PAYMENT_METHOD_LABELS = {
+  Mpesa: 'M-Pesa',
+  Emola: 'e-Mola',
+  Cartao: 'Cartão',
+  Entrega: 'Pagamento na entrega',
+};
+
+const formatReceiptNumber = (sequence) => `${config.receipts.prefix}-${String(sequence).padStart(6, '0')}`;
+
+const formatMoney = (value) => `${(value || 0).toFixed(2)} MZN`;
+
+const formatDate = (date) => new Date(date).toLocaleString('pt-PT', { timeZone: config.reports.timezone });
+
+// Próximo número da sequência (atômico: dois recibos nunca recebem o mesmo número)
+const nextReceiptSequence = async () => {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: 'receipt' },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+// Atribui o número de recibo ao pedido, uma única vez.
+// O pedido é reservado (receipt.issuedAt) antes de gastar um número, para que duas emissões simultâneas
+// não deixem buracos na sequência. Uma reserva sem número há mais de um minuto (o processo caiu) é retomada.
+// Devolve o pedido atualizado; lança erro se outra emissão ainda estiver em curso.
+const issueReceipt = async (orderId) => {
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: orderId,
+      'receipt.number': { $exists: false },
+      $or: [
+        { 'receipt.issuedAt': { $exists: false } },
+        { 'receipt.issuedAt': { $lt: new Date(Date.now() - RECEIPT_ISSUE_TIMEOUT_MS) } },
+      ],
+    },
+    { $set: { 'receipt.issuedAt': new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    const order = await Order.findById(orderId);
+    if (order && !(order.receipt && order.receipt.number)) {
+      throw new Error('O recibo deste pedido está a ser emitido. Tente novamente dentro de instantes.');
+    }
+    return order;
+  }
+
+  const sequence = await nextReceiptSequence();
+  return Order.findOneAndUpdate(
+    { _id: orderId },
+    { $set: { 'receipt.sequence': sequence, 'receipt.number': formatReceiptNumber(sequence) } },
+    { new: true }
+  );
+};
+
+// Gera o PDF do recibo. 'order' deve ter o recibo emitido e 'products.product' populado com o nome.
+const renderReceiptPdf = (order) => new Promise((resolve, reject) => {
+  const { company } = config;
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `Recibo ${order.receipt.number}`, Author: company.name },
+  });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = doc.page.margins.left;
+  const right = doc.page.width - doc.page.margins.right;
+  const width = right - left;
+
+  // Cabeçalho: dados da empresa e número do recibo
+  doc.font('Helvetica-Bold').fontSize(16).text(company.name, left, 50);
+  doc.font('Helvetica').fontSize(9);
+  [
+    company.address,
+    company.taxId ? `NUIT: ${company.taxId}` : null,
+    [company.phone, company.email].filter(Boolean).join(' | '),
+  ].filter(Boolean).forEach((line) => doc.text(line));
+
+  doc.font('Helvetica-Bold').fontSize(14).text('RECIBO', left, 50, { width, align: 'right' });
+  doc.font('Helvetica').fontSize(10)
+    .text(`Nº ${order.receipt.number}`, { width, align: 'right' })
+    .text(`Data: ${formatDate(order.receipt.issuedAt)}`, { width, align: 'right' })
+    .text(`Pedido: #${order.trackingId}`, { width, align: 'right' });
+
+  // Cliente
+  doc.moveDown(2);
+  const customerTop = Math.max(doc.y, 130);
+  doc.font('Helvetica-Bold').fontSize(10).text('Cliente', left, customerTop);
+  doc.font('Helvetica').fontSize(10)
+    .text(order.customerInfo.name)
+    .text(order.customerInfo.phone)
+    .text(order.customerInfo.address, { width: width / 2 });
+
+  // Itens
+  const columns = [
+    { label: 'Produto', x: left, width: 200, align: 'left' },
+    { label: 'Tamanho', x: left + 205, width: 60, align: 'left' },
+    { label: 'Qtd.', x: left + 270, width: 40, align: 'right' },
+    { label: 'Preço unit.', x: left + 315, width: 90, align: 'right' },
+    { label: 'Total', x: left + 410, width: width - 410, align: 'right' },
+  ];
+  const drawRow = (values, { bold = false } = {}) => {
+    const top = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const heights = columns.map((column, index) => doc.heightOfString(values[index], { width: column.width }));
+    columns.forEach((column, index) => {
+      doc.text(values[index], column.x, top, { width: column.width, align: column.align });
+    });
+    doc.y = top + Math.max(...heights) + 4;
+  };
+
+  doc.moveDown(2);
+  doc.x = left;
+  drawRow(columns.map((column) => column.label), { bold: true });
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.y += 4;
+  for (const item of order.products) {
+    const name = item.product && item.product.name ? item.product.name : `Produto ${item.sku || ''}`.trim();
+    drawRow([
+      name,
+      item.size || '-',
+      String(item.quantity),
+      formatMoney(item.price),
+      formatMoney(item.price * item.quantity),
+    ]);
+  }
+  doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+  doc.y += 6;
+
+  // Totais
+  const totalLines = [['Subtotal', formatMoney(order.subtotal)]];
+  if (order.discountAmount > 0) {
+    const couponText = order.coupon && order.coupon.code ? ` (cupom ${order.coupon.code})` : '';
+    totalLines.push([`Desconto${couponText}`, `-${formatMoney(order.discountAmount)}`]);
+  }
+  const deliveryName = order.delivery && order.delivery.name ? ` (${order.delivery.name})` : '';
+  totalLines.push([`Entrega${deliveryName}`, formatMoney(order.shippingFee)]);
+  for (const [label, value] of totalLines) {
+    drawRow(['', '', '', label, value]);
+  }
+  drawRow(['', '', '', 'TOTAL', formatMoney(order.totalAmount)], { bold: true });
+  if (order.refundedAmount > 0) {
+    drawRow(['', '', '', 'Reembolsado', `-${formatMoney(order.refundedAmount)}`]);
+  }
+
+  // Pagamento
+  const payment = order.paymentDetails || {};
+  doc.moveDown(2);
+  doc.x = left;
+  doc.font('Helvetica-Bold').fontSize(10).text('Pagamento');
+  doc.font('Helvetica').fontSize(10)
+    .text(`Método: ${PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod}`);
+  if (payment.transactionID) doc.text(`Transação${payment.provider ? ` ${payment.provider}` : ''}: ${payment.transactionID}`);
+  if (payment.thirdPartyReference) doc.text(`Referência: ${payment.thirdPartyReference}`);
+
+  doc.moveDown(3);
+  doc.fontSize(8).fillColor('#666666').text('Documento processado por computador.', left, doc.y, { width, align: 'center' });
+
+  doc.end();
+});
+
+// Emite (se ainda não tiver número) e gera o recibo de um pedido
+// Devolve { order, number, fileName, pdf }
+const buildReceipt = async (orderId) => {
+  await issueReceipt(orderId);
+  const order = await Order.findById(orderId).populate('products.product', 'name');
+  const pdf = await renderReceiptPdf(order);
+  return { order, number: order.receipt.number, fileName: `recibo-${order.receipt.number}.pdf`, pdf };
+};
+
+module.exports = {
+  formatReceiptNumber,
+  issueReceipt,
+  renderReceiptPdf,
+  buildReceipt,
+};
\ No newline at end of file
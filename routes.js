@@ -6,6 +6,8 @@ const multer = require('multer');
 const path = require('path');
 const config = require('./config');
 const controllers = require('./controllers');
+const { AdminUser, Customer } = require('./models');
+const { hasPermission } = require('./permissions');
 
 const router = express.Router();
 
@@ -27,6 +29,18 @@ const upload = multer({
   },
 });
 
+// Upload de planilhas CSV para a importação de produtos (mantidas em memória, não vão para o armazenamento)
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 }, // Limite de 2MB por arquivo
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.csv') {
+      return cb(null, true);
+    }
+    cb(new Error('Erro: Apenas arquivos .csv são permitidos'));
+  },
+});
+
 // --- Middleware de Autenticação para Rotas de Admin ---
 const authMiddleware = (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -35,17 +49,101 @@ const authMiddleware = (req, res, next) => {
   }
 
   const token = authHeader.split(' ')[1];
+  let decoded;
   try {
-    const decoded = jwt.verify(token, config.jwtSecret);
-    req.user = decoded; // Adiciona os dados do usuário (id, role) ao objeto req
-    next();
+    decoded = jwt.verify(token, config.jwtSecret);
   } catch (error) {
-    res.status(401).json({ message: 'Token inválido.' });
+    return res.status(401).json({ message: 'Token inválido.' });
   }
+
+  // O papel e o estado da conta são lidos da base a cada pedido, para que desativar
+  // uma conta ou mudar o seu papel tenha efeito imediato, mesmo com tokens já emitidos
+  AdminUser.findById(decoded.id).select('role active sessionsValidAfter')
+    .then((admin) => {
+      if (!admin || !admin.active) {
+        return res.status(401).json({ message: 'Conta desativada ou inexistente.' });
+      }
+      // Tokens emitidos antes de uma troca de senha ou de "terminar todas as sessões" deixam de valer
+      if (admin.sessionsValidAfter && decoded.iat * 1000 < admin.sessionsValidAfter.getTime()) {
+        return res.status(401).json({ message: 'Sessão terminada. Faça login novamente.' });
+      }
+      req.user = { id: admin._id.toString(), role: admin.role }; // Adiciona os dados do usuário (id, role) ao objeto req
+      next();
+    })
+    .catch((error) => res.status(500).json({ message: 'Erro ao validar a sessão', error: error.message }));
 };
 
-// --- Função para inicializar as rotas com a dependência do Baileys (sock) ---
-const initializeRoutes = (sock) => {
+// --- Middleware de Autenticação para Rotas de Clientes ---
+// Os tokens dos clientes têm segredo e audience próprios (ver controllers.verifyCustomerOtp)
+const verifyCustomerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) return Promise.resolve({ error: 'Acesso negado. Nenhum token fornecido.' });
+
+  let decoded;
+  try {
+    decoded = jwt.verify(authHeader.split(' ')[1], config.customerAuth.jwtSecret, { audience: 'customer' });
+  } catch (error) {
+    return Promise.resolve({ error: 'Token inválido.' });
+  }
+  return Customer.findById(decoded.id).select('phone sessionsValidAfter').then((customer) => {
+    if (!customer) return { error: 'Conta inexistente.' };
+    if (customer.sessionsValidAfter && decoded.iat * 1000 < customer.sessionsValidAfter.getTime()) {
+      return { error: 'Sessão terminada. Faça login novamente.' };
+    }
+    return { customer: { id: customer._id.toString(), phone: customer.phone } };
+  });
+};
+
+const customerAuthMiddleware = (req, res, next) => {
+  verifyCustomerToken(req)
+    .then(({ customer, error }) => {
+      if (error) return res.status(401).json({ message: error });
+      req.customer = customer;
+      next();
+    })
+    .catch((error) => res.status(500).json({ message: 'Erro ao validar a sessão', error: error.message }));
+};
+
+// O login de clientes só funciona com CUSTOMER_JWT_SECRET definido; sem ele, o código seria gasto
+// e a emissão do token falharia, por isso as rotas de login respondem 503
+const requireCustomerAuthConfigured = (req, res, next) => {
+  if (!config.customerAuth.jwtSecret) {
+    return res.status(503).json({ message: 'O login de clientes não está disponível neste momento.' });
+  }
+  next();
+};
+
+// Para rotas que também aceitam clientes sem login (ex: checkout): sem token segue como anónimo,
+// mas um token inválido ou expirado é recusado para o cliente saber que tem de entrar de novo
+const optionalCustomerAuth = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  customerAuthMiddleware(req, res, next);
+};
+
+// --- Middleware de Permissões (ver permissions.js) ---
+// Deve vir depois do authMiddleware
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user.role, permission)) {
+    return res.status(403).json({ message: 'Permissão insuficiente para esta ação.', required: permission });
+  }
+  next();
+};
+
+// Atalho para rotas de admin: autenticação + permissão
+const can = (permission) => [authMiddleware, requirePermission(permission)];
+
+// Registro de contas: aberto apenas enquanto não existe nenhuma conta (setup inicial do primeiro owner)
+const bootstrapOrCan = (permission) => (req, res, next) => {
+  AdminUser.exists({})
+    .then((exists) => {
+      if (!exists) return next();
+      authMiddleware(req, res, () => requirePermission(permission)(req, res, next));
+    })
+    .catch((error) => res.status(500).json({ message: 'Erro no servidor', error: error.message }));
+};
+
+// --- Função para inicializar as rotas ---
+const initializeRoutes = () => {
 
   // ===============================================
   // == ROTAS PÚBLICAS (Acessíveis pelo cliente) ==
@@ -54,13 +152,43 @@ const initializeRoutes = (sock) => {
   // Produtos
   router.get('/products', controllers.getAllProducts);
   router.get('/products/:id', controllers.getProductById);
+  // Avaliações: só as aprovadas são listadas; para avaliar é preciso o trackingId de um pedido entregue
+  router.get('/products/:id/reviews', controllers.getProductReviews);
+  router.post('/products/:id/reviews', controllers.createReview);
+  // Alertas no WhatsApp: volta ao estoque e baixa de preço (cancelados respondendo STOP)
+  router.post('/products/:id/subscriptions', optionalCustomerAuth, controllers.subscribeToProduct);
 
   // Pedidos
-  // O controller 'createOrder' precisa do 'sock' para enviar notificações
-  router.post('/orders/checkout', controllers.createOrder(sock));
+  router.post('/orders/checkout', optionalCustomerAuth, controllers.createOrder);
+  // Zonas de entrega e cotação do carrinho (itens, desconto, taxa de entrega e total)
+  router.get('/delivery-zones', controllers.getDeliveryZones);
+  router.post('/delivery-zones/quote', controllers.quoteDelivery);
+
+  // Pré-visualização do desconto de um cupom para o carrinho
+  router.post('/coupons/validate', controllers.previewCoupon);
+  // Rastreamento público: exige o telefone do pedido em ?phone=
+  router.get('/orders/track/:trackingId', controllers.trackOrder);
+
+  // Contas de clientes: login com código enviado pelo WhatsApp
+  router.post('/auth/otp/request', requireCustomerAuthConfigured, controllers.requestCustomerOtp);
+  router.post('/auth/otp/verify', requireCustomerAuthConfigured, controllers.verifyCustomerOtp);
+  router.get('/me', customerAuthMiddleware, controllers.getCustomerProfile);
+  router.put('/me', customerAuthMiddleware, controllers.updateCustomerProfile);
+  router.post('/me/logout', customerAuthMiddleware, controllers.logoutCustomer);
+  router.get('/me/addresses', customerAuthMiddleware, controllers.getCustomerAddresses);
+  router.post('/me/addresses', customerAuthMiddleware, controllers.addCustomerAddress);
+  router.put('/me/addresses/:addressId', customerAuthMiddleware, controllers.updateCustomerAddress);
+  router.delete('/me/addresses/:addressId', customerAuthMiddleware, controllers.deleteCustomerAddress);
+  router.get('/me/orders', customerAuthMiddleware, controllers.getCustomerOrders);
 
-  // Callback do M-Pesa (esta rota será chamada pelo servidor do M-Pesa)
-  router.post('/payments/mpesa-callback', controllers.mpesaCallback(sock));
+  // Callbacks dos provedores de pagamento (chamadas pelos servidores do M-Pesa e do e-Mola)
+  router.post('/payments/mpesa-callback', controllers.mpesaCallback);
+  router.post('/payments/emola-callback', controllers.emolaCallback);
+
+  // Callback simulado, disponível apenas no modo sandbox
+  if (config.payments.sandbox) {
+    router.post('/payments/sandbox-callback', controllers.sandboxCallback);
+  }
 
 
   // ====================================================
@@ -68,20 +196,76 @@ const initializeRoutes = (sock) => {
   // ====================================================
 
   // Autenticação do Admin
-  router.post('/admin/register', controllers.registerAdmin); // Manter aberto para setup inicial ou proteger
+  router.post('/admin/register', bootstrapOrCan('users:manage'), controllers.registerAdmin); // Aberto só no setup inicial
   router.post('/admin/login', controllers.loginAdmin);
+  router.post('/admin/refresh', controllers.refreshAdminSession);
+  router.post('/admin/logout', controllers.logoutAdmin);
+  router.put('/admin/me/password', authMiddleware, controllers.changeAdminPassword);
+
+  // Gestão de contas do painel
+  router.get('/admin/users', can('users:manage'), controllers.getAdminUsers);
+  router.patch('/admin/users/:id', can('users:manage'), controllers.updateAdminUser);
+  router.post('/admin/users/:id/reset-password', can('users:manage'), controllers.resetAdminPassword);
 
   // Gestão de Produtos (CRUD)
   // `authMiddleware` é usado para proteger estas rotas
   // `upload.array('images', 5)` processa até 5 arquivos no campo 'images'
-  router.post('/admin/products', authMiddleware, upload.array('images', 5), controllers.createProduct);
-  router.put('/admin/products/:id', authMiddleware, controllers.updateProduct);
-  router.delete('/admin/products/:id', authMiddleware, controllers.deleteProduct);
+  router.post('/admin/products', can('products:write'), upload.array('images', 5), controllers.createProduct);
+  // Exportação e importação em CSV (a importação é uma simulação, a menos que ?dryRun=false)
+  router.get('/admin/products/export', can('products:write'), controllers.exportProducts);
+  router.post('/admin/products/import', can('products:write'), csvUpload.single('file'), controllers.importProducts);
+  router.put('/admin/products/:id', can('products:write'), upload.array('images', 5), controllers.updateProduct);
+  router.delete('/admin/products/:id', can('products:write'), controllers.deleteProduct);
+
+  // Moderação de avaliações
+  router.get('/admin/reviews', can('reviews:moderate'), controllers.getReviews);
+  router.patch('/admin/reviews/:id', can('reviews:moderate'), controllers.moderateReview);
+  router.delete('/admin/reviews/:id', can('reviews:moderate'), controllers.deleteReview);
+
+  // Estoque: entradas de mercadoria, ajustes manuais e histórico de movimentos
+  router.post('/admin/products/:id/stock', can('inventory:manage'), controllers.adjustProductStock);
+  router.get('/admin/stock-movements', can('inventory:manage'), controllers.getStockMovements);
+
+  // Cupons de desconto
+  router.get('/admin/coupons', can('coupons:manage'), controllers.getCoupons);
+  router.post('/admin/coupons', can('coupons:manage'), controllers.createCoupon);
+  router.put('/admin/coupons/:id', can('coupons:manage'), controllers.updateCoupon);
+  router.delete('/admin/coupons/:id', can('coupons:manage'), controllers.deleteCoupon);
+
+  // Zonas de entrega
+  router.get('/admin/delivery-zones', can('delivery:manage'), controllers.getAllDeliveryZones);
+  router.post('/admin/delivery-zones', can('delivery:manage'), controllers.createDeliveryZone);
+  router.put('/admin/delivery-zones/:id', can('delivery:manage'), controllers.updateDeliveryZone);
+  router.delete('/admin/delivery-zones/:id', can('delivery:manage'), controllers.deleteDeliveryZone);
 
   // Gestão de Pedidos
-  router.get('/admin/orders', authMiddleware, controllers.getAllOrders);
-  // O controller 'updateOrderStatus' também precisa do 'sock'
-  router.put('/admin/orders/:id/status', authMiddleware, controllers.updateOrderStatus(sock));
+  router.get('/admin/orders', can('orders:read'), controllers.getAllOrders);
+  // Auditoria dos callbacks de pagamento recebidos (?reference=, ?outcome=)
+  router.get('/admin/payments/callbacks', can('payments:audit'), controllers.getPaymentCallbacks);
+  router.put('/admin/orders/:id/status', can('orders:update'), controllers.updateOrderStatus);
+  router.get('/admin/orders/:id/history', can('orders:read'), controllers.getOrderHistory);
+  router.get('/admin/orders/:id/receipt', can('orders:read'), controllers.downloadOrderReceipt);
+  // Reconsulta o estado do pagamento no provedor e atualiza o pedido se já estiver concluído
+  router.post('/admin/orders/:id/payment-status', can('orders:update'), controllers.checkPaymentStatus);
+  // Reembolso total ou parcial (por itens) através do provedor de pagamento
+  router.post('/admin/orders/:id/refunds', can('orders:refund'), controllers.refundOrder);
+
+  // Relatórios (?from=AAAA-MM-DD&to=AAAA-MM-DD)
+  router.get('/admin/analytics/sales', can('analytics:read'), controllers.getSalesReport);
+  router.get('/admin/analytics/payments', can('analytics:read'), controllers.getPaymentBreakdown);
+  router.get('/admin/analytics/top-products', can('analytics:read'), controllers.getTopProducts);
+  router.get('/admin/analytics/mpesa-conversion', can('analytics:read'), controllers.getMpesaConversion);
+
+  // Fila de notificações WhatsApp (mensagens pendentes ou que falharam)
+  router.get('/admin/notifications', can('notifications:manage'), controllers.getNotifications);
+  router.post('/admin/notifications/:id/resend', can('notifications:manage'), controllers.resendNotification);
+
+  // Rotas da sessão WhatsApp
+  router.get('/admin/whatsapp/status', can('whatsapp:manage'), controllers.getWhatsAppStatus);
+  router.get('/admin/whatsapp/qr', can('whatsapp:manage'), controllers.getWhatsAppQR);
+  router.post('/admin/whatsapp/logout', can('whatsapp:manage'), controllers.logoutWhatsApp);
+  router.post('/admin/whatsapp/reconnect', can('whatsapp:manage'), controllers.reconnectWhatsApp);
+  router.post('/admin/whatsapp/test-message', can('whatsapp:manage'), controllers.sendWhatsAppTestMessage);
 
 
   // Rota de Teste (para verificar se a API está online)
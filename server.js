@@ -3,66 +3,30 @@
 const express = require('express');
 const cors = require('cors');
 const mongoose = require('mongoose');
-const makeWASocket = require('@whiskeysockets/baileys').default;
-const { useMultiFileAuthState, DisconnectReason } = require('@whiskeysockets/baileys');
-const qrcode = require('qrcode-terminal');
 
 const config = require('./config');
+const controllers = require('./controllers');
+const { runMigrations } = require('./migrations');
+const { processOutbox } = require('./notifications');
+const { checkScheduledPriceDrops } = require('./subscriptions');
+const whatsapp = require('./whatsapp');
 const initializeRoutes = require('./routes');
 
-// Variável para armazenar a instância do cliente WhatsApp (sock)
-let sock;
-
-// --- Função principal para iniciar o cliente WhatsApp (Baileys) ---
-// A função agora aceita o objeto de estado da conexão para poder atualizá-lo
-async function startBaileys(connectionState) {
-  // Salva a autenticação em arquivos para não precisar escanear o QR code toda vez
-  const { state, saveCreds } = await useMultiFileAuthState('baileys_auth_session');
-
-  sock = makeWASocket({
-    auth: state,
-    printQRInTerminal: true, // Mantém a impressão no terminal para debug
-  });
-
-  // Listener para eventos de conexão que atualiza o objeto de estado global
-  sock.ev.on('connection.update', (update) => {
-    const { connection, lastDisconnect, qr } = update;
-
-    // Atualiza o objeto de estado que será exposto pela API
-    if (qr) {
-      console.log('--- PAINEL DE ADMIN: CONEXÃO WHATSAPP ---');
-      console.log('Um QR Code foi gerado. Escaneie-o no painel admin ou aqui no terminal.');
-      // Mostra o QR code no terminal como fallback
-      qrcode.generate(qr, { small: true }); 
-      connectionState.qr = qr;
-      connectionState.status = 'qr';
-    }
-
-    if (connection === 'close') {
-      const statusCode = (lastDisconnect.error)?.output?.statusCode;
-      const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
-      
-      console.log(`Conexão fechada. Motivo: ${statusCode}, reconectando: ${shouldReconnect}`);
-      connectionState.status = 'disconnected';
-
-      if (shouldReconnect) {
-        // Tenta reconectar passando o mesmo objeto de estado
-        startBaileys(connectionState); 
-      } else {
-        connectionState.status = 'logged_out';
-        console.error('Não foi possível reconectar. Você foi desconectado (logged out). Apague a pasta "baileys_auth_session" e reinicie o servidor para gerar um novo QR Code.');
-      }
-    } else if (connection === 'open') {
-      console.log('Conexão WhatsApp aberta e pronta para enviar mensagens!');
-      connectionState.status = 'connected';
-      connectionState.qr = null; // Limpa o QR code, pois não é mais necessário
+// --- Função utilitária para agendar tarefas periódicas ---
+// Evita execuções sobrepostas: se a anterior ainda não terminou, o ciclo é pulado.
+function scheduleJob(name, intervalMs, job) {
+  let running = false;
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`Erro na tarefa "${name}":`, error);
+    } finally {
+      running = false;
     }
-  });
-
-  // Listener para salvar as credenciais atualizadas
-  sock.ev.on('creds.update', saveCreds);
-
-  return sock;
+  }, intervalMs);
 }
 
 // --- Função para configurar e iniciar o servidor Express ---
@@ -70,39 +34,64 @@ async function startServer() {
   const app = express();
 
   // 1. Middlewares
+  app.set('trust proxy', config.trustProxy); // Para que req.ip seja o IP real atrás de um proxy
   app.use(cors(config.corsOptions)); // Aplica as opções de CORS
-  app.use(express.json()); // Para parsear body de requisições JSON
+  // Para parsear body de requisições JSON
+  // O corpo original fica em req.rawBody para validar assinaturas HMAC dos callbacks de pagamento
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }));
   app.use(express.urlencoded({ extended: true }));
+  // Imagens dos produtos guardadas em disco (apenas com STORAGE_DRIVER=local)
+  if (config.storage.driver === 'local') {
+    app.use(config.storage.local.publicPath, express.static(config.storage.local.directory, { maxAge: '7d' }));
+  }
 
   // 2. Conexão com o Banco de Dados
   mongoose.connect(config.mongoURI)
     .then(() => console.log('Conectado ao MongoDB Atlas com sucesso.'))
+    .then(() => runMigrations())
     .catch((err) => console.error('Falha ao conectar ao MongoDB:', err));
 
-  // 3. Objeto de estado da conexão do WhatsApp e inicialização do Baileys
-  // Este objeto será compartilhado com o Baileys e o novo endpoint de API.
-  let waConnectionState = { status: 'initializing', qr: null };
-  
+  // 3. Inicialização do cliente WhatsApp (Baileys)
+  // A sessão e o seu estado ficam no whatsapp.js; o painel admin gere-a pelas rotas /api/admin/whatsapp
   console.log('Iniciando cliente WhatsApp...');
-  // Passa o objeto de estado para a função startBaileys
-  const waSock = await startBaileys(waConnectionState);
+  await whatsapp.startBaileys();
   
   // 4. Rotas da API
-  // Injeta a instância do socket (waSock) no inicializador de rotas
-  const apiRoutes = initializeRoutes(waSock);
+  // As notificações WhatsApp passam pela fila (notifications.js), por isso as rotas não recebem o socket
+  const apiRoutes = initializeRoutes();
   app.use('/api', apiRoutes);
   
-  // 5. NOVO ENDPOINT DE STATUS DO WHATSAPP
-  // Este endpoint permite que o frontend consulte o estado atual da conexão.
-  app.get('/api/admin/whatsapp/status', (req, res) => {
-      res.json(waConnectionState);
-  });
-  
   // Rota raiz para health check
   app.get('/', (req, res) => {
     res.send('Servidor da Loja de Perfumes está no ar!');
   });
 
+  // 5. Tarefas em segundo plano
+  // Expira pedidos sem confirmação de pagamento e devolve o estoque reservado
+  scheduleJob('expirar-reservas', config.orderExpiry.sweepIntervalSeconds * 1000, () =>
+    controllers.expirePendingPayments()
+  );
+
+  // Consulta os provedores sobre pedidos pendentes cujo callback não chegou
+  scheduleJob('reconciliar-pagamentos', config.payments.reconcileIntervalSeconds * 1000, () =>
+    controllers.reconcilePendingPayments()
+  );
+
+  // Envia as notificações WhatsApp da fila; fica em pausa enquanto a conexão não estiver aberta
+  // Usa sempre o socket atual, que é substituído a cada reconexão
+  scheduleJob('fila-whatsapp', config.whatsapp.outbox.intervalSeconds * 1000, () =>
+    whatsapp.isConnected() ? processOutbox(whatsapp.getSocket()) : null
+  );
+
+  // Avisa os clientes que seguem um produto quando uma promoção agendada baixa o preço
+  scheduleJob('alertas-preco', config.subscriptions.priceCheckIntervalMinutes * 60 * 1000, () =>
+    checkScheduledPriceDrops()
+  );
+
   // 6. Iniciar o servidor
   const PORT = config.port;
   app.listen(PORT, () => {
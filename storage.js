@@ -0,0 +1,140 @@
+// storage.js
+
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const cloudinary = require('cloudinary').v2;
+const sharp = require('sharp');
+const config = require('./config');
+
+// --- Armazenamento das imagens dos produtos ---
+// Os controllers não falam diretamente com o Cloudinary: usam o backend escolhido em config.storage.driver.
+// Todos os backends implementam a mesma interface:
+//   upload(filePath, { folder }) -> { public_id, url, thumbnailUrl, mediumUrl, storage }
+//   destroy(public_id)
+// Cada imagem guarda o nome do backend ('storage'), para ser apagada no backend certo mesmo que o driver mude.
+
+// Backend Cloudinary: os tamanhos menores são transformações geradas pelo próprio Cloudinary a partir da URL
+const cloudinaryStorage = {
+  name: 'cloudinary',
+
+  variantUrl(publicId, width) {
+    return cloudinary.url(publicId, { secure: true, width, crop: 'limit', quality: 'auto', fetch_format: 'auto' });
+  },
+
+  async upload(filePath, { folder }) {
+    const result = await cloudinary.uploader.upload(filePath, { folder });
+    const { thumbnail, medium } = config.storage.sizes;
+    return {
+      public_id: result.public_id,
+      url: result.secure_url,
+      thumbnailUrl: this.variantUrl(result.public_id, thumbnail),
+      mediumUrl: this.variantUrl(result.public_id, medium),
+      storage: this.name,
+    };
+  },
+
+  async destroy(publicId) {
+    await cloudinary.uploader.destroy(publicId);
+  },
+};
+
+// Backend em disco local: guarda o original e gera as miniaturas (webp) com o sharp.
+// Os arquivos são servidos pelo Express em config.storage.local.publicPath (ver server.js).
+const localStorage = {
+  name: 'local',
+
+  publicUrl(relativePath) {
+    const { publicURL, publicPath } = config.storage.local;
+    return `${publicURL || ''}${publicPath}/${relativePath}`;
+  },
+
+  async upload(filePath, { folder }) {
+    const { directory } = config.storage.local;
+    const { thumbnail, medium } = config.storage.sizes;
+    const id = crypto.randomUUID();
+    const ext = (await sharp(filePath).metadata()).format.replace('jpeg', 'jpg');
+    const targetDir = path.join(directory, folder);
+    await fs.mkdir(targetDir, { recursive: true });
+
+    const files = {
+      original: `${id}.${ext}`,
+      thumbnail: `${id}-thumb.webp`,
+      medium: `${id}-medium.webp`,
+    };
+    await fs.copyFile(filePath, path.join(targetDir, files.original));
+    await sharp(filePath).rotate().resize({ width: thumbnail, withoutEnlargement: true }).webp().toFile(path.join(targetDir, files.thumbnail));
+    await sharp(filePath).rotate().resize({ width: medium, withoutEnlargement: true }).webp().toFile(path.join(targetDir, files.medium));
+
+    return {
+      public_id: `${folder}/${id}`,
+      url: this.publicUrl(`${folder}/${files.original}`),
+      thumbnailUrl: this.publicUrl(`${folder}/${files.thumbnail}`),
+      mediumUrl: this.publicUrl(`${folder}/${files.medium}`),
+      storage: this.name,
+    };
+  },
+
+  // Apaga o original e as miniaturas (todos os arquivos com o mesmo id)
+  async destroy(publicId) {
+    const dir = path.join(config.storage.local.directory, path.dirname(publicId));
+    const id = path.basename(publicId);
+    const entries = await fs.readdir(dir).catch(() => []);
+    await Promise.all(entries
+      .filter((entry) => entry.startsWith(`${id}.`) || entry.startsWith(`${id}-`))
+      .map((entry) => fs.unlink(path.join(dir, entry))));
+  },
+};
+
+const backends = {
+  cloudinary: cloudinaryStorage,
+  local: localStorage,
+};
+
+if (!backends[config.storage.driver]) {
+  throw new Error(`STORAGE_DRIVER inválido: '${config.storage.driver}'. Valores aceitos: ${Object.keys(backends).join(', ')}.`);
+}
+
+if (config.storage.driver === 'cloudinary' || config.cloudinary.cloud_name) {
+  // É preciso configurar o Cloudinary com as credenciais do nosso config.js
+  cloudinary.config(config.cloudinary);
+}
+
+// Backend usado para novos uploads
+const getStorage = () => backends[config.storage.driver];
+
+const MAX_REMOTE_IMAGE_BYTES = 5 * 1024 * 1024; // O mesmo limite do upload pelo painel
+
+// Baixa uma imagem de uma URL pública e envia-a para o backend atual (usado na importação CSV)
+const uploadFromUrl = async (url, { folder }) => {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: 20000,
+    maxContentLength: MAX_REMOTE_IMAGE_BYTES,
+  });
+  const contentType = response.headers['content-type'] || '';
+  if (!contentType.startsWith('image/')) {
+    throw new Error(`A URL ${url} não é uma imagem (${contentType || 'tipo desconhecido'}).`);
+  }
+
+  const tempFile = path.join(os.tmpdir(), `import-${crypto.randomUUID()}`);
+  await fs.writeFile(tempFile, response.data);
+  try {
+    return await getStorage().upload(tempFile, { folder });
+  } finally {
+    await fs.unlink(tempFile).catch(() => {});
+  }
+};
+
+// Backend onde uma imagem já gravada está guardada (imagens antigas, sem 'storage', são do Cloudinary)
+const storageFor = (image) => backends[image.storage || 'cloudinary'];
+
+module.exports = {
+  getStorage,
+  storageFor,
+  uploadFromUrl,
+  cloudinaryStorage,
+  localStorage,
+};
\ No newline at end of file
@@ -0,0 +1,126 @@
+// subscriptions.js
+
+const { Product, ProductSubscription, Notification } = require('./models');
+const { sendWhatsAppMessage } = require('./notifications');
+const config = require('./config');
+
+// --- Alertas de produto pedidos pelos clientes ---
+// O cliente pede para ser avisado no WhatsApp quando um perfume esgotado volta ao estoque ('back_in_stock')
+// ou quando o preço baixa ('price_drop'). Os alertas expiram (índice TTL em expiresAt), cada número recebe
+// no máximo config.subscriptions.maxAlertsPerPhonePerDay avisos por dia e responder STOP cancela todos
+// (ver assistant.js).
+
+const SUBSCRIPTION_TYPES = ['back_in_stock', 'price_drop'];
+
+// Menor preço em vigor entre as variantes (promoções incluídas)
+const lowestCurrentPrice = (product) => Math.min(...product.variants.map((variant) => variant.currentPrice()));
+
+// Preço em vigor para um alerta: o da variante escolhida ou o menor do produto (null se a variante já não existir)
+const subscriptionPrice = (product, variantId) => {
+  if (!variantId) return lowestCurrentPrice(product);
+  const variant = product.findVariant(variantId);
+  return variant ? variant.currentPrice() : null;
+};
+
+const productLink = (product) => (config.storefrontURL ? `\n${config.storefrontURL}/products/${product._id}` : '');
+
+// Limite diário de avisos por número (contado na fila de notificações)
+const dailyLimitReached = async (phone) => {
+  const sentToday = await Notification.countDocuments({
+    to: phone,
+    kind: { $in: SUBSCRIPTION_TYPES },
+    createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+  });
+  return sentToday >= config.subscriptions.maxAlertsPerPhonePerDay;
+};
+
+const sendAlert = (subscription, text) => sendWhatsAppMessage(
+  subscription.phone,
+  `${text}\n\nResponda STOP para deixar de receber estes alertas.`,
+  { kind: subscription.type }
+);
+
+// Avisa quem espera por uma variante que voltou a ter estoque (de 0 para positivo).
+// Recebe os movimentos de estoque (ver inventory.js), por isso cobre reposições, edições, importações e devoluções.
+// Cada alerta é apagado antes do envio, para que dois movimentos simultâneos não avisem duas vezes.
+// Nunca lança erro: o aviso não deve derrubar a operação que mexeu no estoque.
+const notifyBackInStock = async (movements) => {
+  try {
+    const restocked = movements.filter((movement) => movement.delta > 0 && movement.stockAfter > 0 && movement.stockAfter - movement.delta <= 0);
+    for (const movement of restocked) {
+      const subscriptions = await ProductSubscription.find({
+        type: 'back_in_stock',
+        product: movement.product,
+        variant: { $in: [null, movement.variant] },
+        expiresAt: { $gt: new Date() },
+      });
+      if (subscriptions.length === 0) continue;
+
+      const product = await Product.findById(movement.product, 'name');
+      if (!product) continue;
+      for (const subscription of subscriptions) {
+        // Acima do limite diário, o alerta fica ativo para a próxima reposição
+        if (await dailyLimitReached(subscription.phone)) continue;
+        const claimed = await ProductSubscription.findOneAndDelete({ _id: subscription._id });
+        if (!claimed) continue;
+        await sendAlert(subscription, `Boa notícia! ${product.name} (${movement.size}) voltou ao estoque.${productLink(product)}`);
+      }
+    }
+  } catch (error) {
+    console.error('Erro ao enviar alertas de volta ao estoque:', error);
+  }
+};
+
+// Avisa quem segue o preço de um produto quando o preço em vigor fica abaixo do preço de referência do alerta.
+// O preço de referência passa a ser o novo preço, para avisar de novo apenas numa baixa seguinte.
+// Nunca lança erro.
+const notifyPriceDrops = async (product) => {
+  try {
+    const subscriptions = await ProductSubscription.find({ type: 'price_drop', product: product._id, expiresAt: { $gt: new Date() } });
+    for (const subscription of subscriptions) {
+      const price = subscriptionPrice(product, subscription.variant);
+      if (price === null || price >= subscription.referencePrice) continue;
+      if (await dailyLimitReached(subscription.phone)) continue;
+
+      const claimed = await ProductSubscription.findOneAndUpdate(
+        { _id: subscription._id, referencePrice: subscription.referencePrice },
+        { $set: { referencePrice: price, lastNotifiedAt: new Date() } }
+      );
+      if (!claimed) continue;
+
+      const variant = subscription.variant ? product.findVariant(subscription.variant) : null;
+      const name = variant ? `${product.name} (${variant.size})` : product.name;
+      await sendAlert(subscription, `O preço de ${name} baixou de ${subscription.referencePrice.toFixed(2)} para ${price.toFixed(2)} MZN.${productLink(product)}`);
+    }
+  } catch (error) {
+    console.error(`Erro ao enviar alertas de preço do produto ${product._id}:`, error);
+  }
+};
+
+// Verifica todos os produtos seguidos (executado periodicamente pelo server.js), para apanhar as
+// promoções agendadas, que baixam o preço sem nenhuma edição do produto
+const checkScheduledPriceDrops = async () => {
+  const productIds = await ProductSubscription.distinct('product', { type: 'price_drop', expiresAt: { $gt: new Date() } });
+  for (const productId of productIds) {
+    const product = await Product.findById(productId);
+    if (product) {
+      await notifyPriceDrops(product);
+    }
+  }
+};
+
+// Cancela todos os alertas de um número (resposta STOP); devolve quantos foram removidos
+const unsubscribeAll = async (phone) => {
+  const result = await ProductSubscription.deleteMany({ phone });
+  return result.deletedCount;
+};
+
+module.exports = {
+  SUBSCRIPTION_TYPES,
+  lowestCurrentPrice,
+  subscriptionPrice,
+  notifyBackInStock,
+  notifyPriceDrops,
+  checkScheduledPriceDrops,
+  unsubscribeAll,
+};
\ No newline at end of file
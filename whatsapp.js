@@ -0,0 +1,194 @@
+// whatsapp.js
+
+const fs = require('fs/promises');
+const makeWASocket = require('@whiskeysockets/baileys').default;
+const { useMultiFileAuthState, DisconnectReason } = require('@whiskeysockets/baileys');
+const qrcode = require('qrcode-terminal');
+
+const config = require('./config');
+const { processOutbox, toWhatsAppJid } = require('./notifications');
+const { handleIncomingMessage } = require('./assistant');
+
+// --- Sessão do cliente WhatsApp (Baileys) ---
+// Este módulo é o único dono do socket: o server.js inicia a sessão, o worker da fila usa getSocket()
+// e os controllers de admin consultam o estado, reconectam ou terminam a sessão sem reiniciar o servidor.
+
+// Instância atual do cliente WhatsApp (sock); é substituída a cada reconexão
+let sock;
+// Cada socket criado recebe um número de geração. Eventos de sockets antigos (ex: o 'close' de um
+// socket que o admin mandou reconectar) são ignorados, para nunca haver dois sockets em paralelo.
+let generation = 0;
+
+const MAX_HISTORY_ENTRIES = 50;
+
+// Estado da conexão exposto pela API de admin
+const connectionState = {
+  status: 'initializing', // initializing | qr | connected | disconnected | logged_out
+  qr: null,
+  qrGeneratedAt: null,
+  connectedAt: null,
+  account: null, // Número/nome da conta ligada
+  lastDisconnect: null, // { statusCode, reason, message, at }
+  history: [], // Eventos de conexão, do mais recente para o mais antigo
+};
+
+// Traduz o código de desconexão do Baileys para o nome da constante (ex: 401 -> 'loggedOut')
+const disconnectReasonName = (statusCode) =>
+  Object.keys(DisconnectReason).find((key) => DisconnectReason[key] === statusCode) || 'unknown';
+
+// Regista um evento no histórico de conexão (mantém apenas os mais recentes)
+const recordEvent = (event, details = {}) => {
+  connectionState.history.unshift({ event, at: new Date(), ...details });
+  connectionState.history.length = Math.min(connectionState.history.length, MAX_HISTORY_ENTRIES);
+};
+
+// --- Função principal para iniciar o cliente WhatsApp (Baileys) ---
+async function startBaileys() {
+  const currentGeneration = ++generation;
+
+  // Salva a autenticação em arquivos para não precisar escanear o QR code toda vez
+  const { state, saveCreds } = await useMultiFileAuthState(config.whatsapp.authFolder);
+
+  sock = makeWASocket({
+    auth: state,
+    printQRInTerminal: true, // Mantém a impressão no terminal para debug
+  });
+  const currentSock = sock;
+
+  // Listener para eventos de conexão que atualiza o estado exposto pela API
+  currentSock.ev.on('connection.update', (update) => {
+    if (currentGeneration !== generation) return; // Socket substituído: ignora os seus eventos
+
+    const { connection, lastDisconnect, qr } = update;
+
+    if (qr) {
+      console.log('--- PAINEL DE ADMIN: CONEXÃO WHATSAPP ---');
+      console.log('Um QR Code foi gerado. Escaneie-o no painel admin ou aqui no terminal.');
+      // Mostra o QR code no terminal como fallback
+      qrcode.generate(qr, { small: true });
+      connectionState.qr = qr;
+      connectionState.qrGeneratedAt = new Date();
+      connectionState.status = 'qr';
+      recordEvent('qr');
+    }
+
+    if (connection === 'close') {
+      const statusCode = (lastDisconnect?.error)?.output?.statusCode;
+      const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
+
+      console.log(`Conexão fechada. Motivo: ${statusCode}, reconectando: ${shouldReconnect}`);
+      connectionState.status = 'disconnected';
+      connectionState.connectedAt = null;
+      connectionState.lastDisconnect = {
+        statusCode,
+        reason: disconnectReasonName(statusCode),
+        message: lastDisconnect?.error?.message,
+        at: new Date(),
+      };
+      recordEvent('close', { statusCode, reason: connectionState.lastDisconnect.reason, reconnecting: shouldReconnect });
+
+      if (shouldReconnect) {
+        startBaileys().catch((error) => console.error('Erro ao reconectar o WhatsApp:', error));
+      } else {
+        connectionState.status = 'logged_out';
+        connectionState.account = null;
+        console.error('Sessão do WhatsApp terminada (logged out). Use POST /api/admin/whatsapp/logout no painel para gerar um novo QR Code.');
+      }
+    } else if (connection === 'open') {
+      console.log('Conexão WhatsApp aberta e pronta para enviar mensagens!');
+      connectionState.status = 'connected';
+      connectionState.qr = null; // Limpa o QR code, pois não é mais necessário
+      connectionState.qrGeneratedAt = null;
+      connectionState.connectedAt = new Date();
+      connectionState.account = currentSock.user ? { id: currentSock.user.id, name: currentSock.user.name } : null;
+      recordEvent('open', { account: connectionState.account?.id });
+
+      // Envia de imediato as notificações que ficaram na fila enquanto a conexão estava em baixo
+      processOutbox(currentSock).catch((error) => console.error('Erro ao esvaziar a fila de notificações:', error));
+    }
+  });
+
+  // Listener para salvar as credenciais atualizadas
+  currentSock.ev.on('creds.update', saveCreds);
+
+  // Listener para mensagens recebidas dos clientes (assistente de pedidos e catálogo)
+  if (config.whatsapp.assistant.enabled) {
+    currentSock.ev.on('messages.upsert', async ({ messages, type }) => {
+      if (type !== 'notify') return; // Ignora o histórico sincronizado ao conectar
+      for (const message of messages) {
+        try {
+          await handleIncomingMessage(message);
+        } catch (error) {
+          console.error('Erro ao processar mensagem recebida:', error);
+        }
+      }
+    });
+  }
+
+  return currentSock;
+}
+
+// Fecha o socket atual sem disparar a reconexão automática (a geração já foi avançada por quem chama)
+const closeCurrentSocket = () => {
+  if (!sock) return;
+  try {
+    sock.end(undefined);
+  } catch (error) {
+    console.error('Erro ao fechar o socket do WhatsApp:', error.message);
+  }
+};
+
+// Força uma nova conexão com as credenciais atuais (ex: conexão presa ou instável)
+const reconnect = async ({ requestedBy } = {}) => {
+  generation++; // Invalida o socket atual antes de o fechar
+  closeCurrentSocket();
+  connectionState.status = 'initializing';
+  connectionState.connectedAt = null;
+  recordEvent('reconnect', { requestedBy });
+  await startBaileys();
+  return connectionState;
+};
+
+// Termina a sessão no WhatsApp, apaga as credenciais e inicia uma sessão nova (que gera um novo QR Code)
+const logout = async ({ requestedBy } = {}) => {
+  generation++;
+  if (sock) {
+    try {
+      await sock.logout();
+    } catch (error) {
+      // A sessão pode já ter sido terminada no telemóvel; as credenciais locais são apagadas na mesma
+      console.error('Erro ao terminar a sessão do WhatsApp:', error.message);
+    }
+    closeCurrentSocket();
+  }
+  await fs.rm(config.whatsapp.authFolder, { recursive: true, force: true });
+
+  Object.assign(connectionState, { status: 'initializing', qr: null, qrGeneratedAt: null, connectedAt: null, account: null });
+  recordEvent('logout', { requestedBy });
+  await startBaileys();
+  return connectionState;
+};
+
+// Envia uma mensagem diretamente pelo socket, sem passar pela fila (usado no teste de envio do painel)
+const sendDirectMessage = async (phone, text) => {
+  if (connectionState.status !== 'connected' || !sock) {
+    throw new Error(`WhatsApp não está conectado (estado atual: ${connectionState.status}).`);
+  }
+  return sock.sendMessage(toWhatsAppJid(phone), { text });
+};
+
+const getSocket = () => sock;
+
+const getConnectionState = () => connectionState;
+
+const isConnected = () => connectionState.status === 'connected';
+
+module.exports = {
+  startBaileys,
+  reconnect,
+  logout,
+  sendDirectMessage,
+  getSocket,
+  getConnectionState,
+  isConnected,
+};
\ No newline at end of file